@@ -17,14 +17,52 @@
 // or a temperature close to the freezing point etc.
 
 // Transformation script parameters (all are optional):
+// "preset" : a named bundle of these parameters for a sensor type from PRESETS or significant.json "presets" (explicit parameters
+//            override it): ...?preset=outdoor-temp
+// "explain" : true to return a JSON trace of all rounding decisions instead of the result (see significantExplain()): ...?explain=true
 // "precision" : a given number of significant figures to round to (used to override the unit specific defaults), use like ...?precision=3
 // "scale" : a number of decimal places to round to: ...?scale=0
+//           for date-times: 4=milliseconds, 3=seconds, 2=minutes, 1=hours, 0=days, -1=weeks, -2=months, -3=years, or a level name like ...?scale=quarter
+// "tz" : a time zone to convert date-times to (with daylight saving time): ...?tz=Europe/Berlin
 // "div" : a divisor to apply to the input value before rounding: ...?div=10 oder 1M or 1000 (useful since OpenHAB only supports one transformation at a time)
 // "mult" : a multiplier to apply to the input value before rounding: ...?mult=1K oder 1M oder 1000 (useful since OpenHAB only supports one transformation at a time)
 // "unit" : a unit to force the output to: ...?unit=°C (unit=. will remove any unit passed in the input)
+// "to" : a unit of the same dimension to convert the input to: ...?to=kW (also with any metric prefix, e.g. to=GWh)
+// "system" : the unit system to convert to, one of {metric|imperial|uk|none}: ...?system=imperial (si=true is the same as system=metric, si=false as system=none)
+// "type" : "epoch" to treat a numeric input as Unix epoch in seconds or milliseconds, to be rounded like a date-time: ...?type=epoch&scale=2
+// "duration" : the output of durations like "PT1H23M45S", "01:23:45" or "2d 4h" (and "1:23", otherwise a time of day): one of {text|iso|clock} for a duration string (default:
+//              the same as the input), or a time unit {d|h|min|s|ms} for a number: ...?duration=text returns "1 h 25 min"
+// "range" : how to treat ranges like "1-2" or "12 - 18 °C", one of {mid|min|max|keep}, keep rounds both ends: ...?range=keep (default: mid)
+// "path" : a JSON path to extract the value from a JSON input like {"temp":21.37,"unit":"C"}: ...?path=$.temp
+// "unitpath" : a JSON path to extract the unit from the same JSON input (e.g. "C" or "degC" become "°C"): ...?path=$.temp&unitpath=$.unit
+// "list" : the separator of a list input like "21.37,21.52,22.08 V" to round each element (JSON arrays are always treated as lists, also
+//          nested ones, non-numeric elements pass through): ...?list=,
+// "prefix" : prefixes for data sizes, one of {iec|si|none}: iec picks KiB, MiB, ..., si picks kB, MB, ..., none keeps the unit: ...?prefix=si
+//            (default: the family of the input unit; bit and bit/s always get 1000-based kbit, Mbit, ...)
+// "mode" : the rounding mode, one of {nearest|floor|ceil|half-even|trunc}, for numbers, angles and date-times: ...?mode=floor (default: nearest)
+// "min", "max" : plausibility limits for the input value (in the unit of the input), values beyond (or ranges with an end beyond) are rejected: ...?min=-40&max=60
+// "invalid" : a comma-separated list of sentinel values to reject, e.g. sensor error codes: ...?invalid=-127,85,65535
+// "reject" : the state returned for rejected values, UNDEF or NULL: ...?reject=NULL (default: UNDEF)
+// "pattern" : a printf-style pattern for the output like in openHAB state descriptions, with %d, %.1f, %s, %e, %% and %unit% (the
+//             final unit), applied to the rounded value: ...?pattern=%.1f %unit% (scientific notation is only used with %e)
+// "altitude" : the altitude of a barometer in m (-500 to 11000), to reduce its station pressure to sea-level pressure (QNH): ...?altitude=500
+// "temp" : the temperature at the barometer for the barometric formula, in °C or with a unit (default: of the standard atmosphere): ...?altitude=500&temp=12
+// "reduce" : the direction of the pressure reduction, sealevel (from station pressure, the default) or station (from sea-level pressure)
+// "ema" : the factor of exponential smoothing per id before rounding, 0 < ema <= 1 (smaller is smoother, needs an id): ...?ema=0.2&id=temp
+// "median" : the window size of a sliding median per id before rounding (needs an id): ...?median=5&id=temp
+// "maxjump" : reject spikes moving more than this amount (or percentage) away from the filtered value, up to 3 in a row: ...?maxjump=10%
+// "idle" : seconds (more than 0, or a duration) without values after which the filters start over (default: 3600): ...?idle=600
+// "locale" : the locale of numbers in the input, e.g. "de" for "1.013,2 hPa", or "auto" to guess it per number: ...?locale=de
+// "outlocale" : the locale of the number in the output (for String items): ...?outlocale=de returns "12,5 °C"
 // "verbose" : one of {t|true|1|yes|y||false|no} to enable or disable logging: ...?verbose=true
 // "testing" : {t|true|1|yes|y||false|no} to enable or disable testing of new features: ...?testing=y
 // "skew" : a number to add to the input value before rounding,: ...?skew=0.5 (e.g. for 0.5 significant figures)
+// "format" : "compass" or "compass+deg" to return an angle as compass direction (e.g. "NE" or "NE (45°)"): ...?format=compass
+//            "beaufort" or "saffir-simpson" to return the class of a speed (see CLASSIFICATIONS), with "-name" its name: ...?format=beaufort-name
+// "classify" : return the category name of a concentration or index in a scale from CLASSIFICATIONS, e.g. pm25-eu, pm10-us, co2, uv,
+//              format=index returns the category number instead: ...?classify=pm25-eu
+// "lang" : the language for direction and class names, "en" (default) or "de": ...?lang=de
+// "hysteresis" : a fraction of a rounding step the input must move past a border before the output changes: ...?id=myitem&hysteresis=0.3 (needs an id)
 
 // Defaults and global variables:
 var verboseAsked     = false; // if default set to true here, script will always log some details about the transformation
@@ -37,7 +75,51 @@ var debugFinal       = true; // if set to true, log the final output (depending
 
 var id = "";                 // an optional id string to identify the invocation in the log messages
 var scriptname = "significant.js: "; // will hold the script name for logging
+var configName = "significant.json"; // optional configuration file next to the script (e.g. with user-defined units)
+var configCache = { mtime: undefined, config: {} }; // the configuration last read from configName (see readConfig())
+var cliMode = false;         // will be set to true when run as command-line tool in Node.js (logging then goes to stderr)
 var normalizeVectorGeneric = Object.freeze(["µ", "m", "", "k", "M", "G", "T", "P", "E"]); // generic prefixes for normalization
+var COMPASS_LANG = Object.freeze({ // letter replacements for localized compass directions (English is the base)
+  en: {},
+  de: { E: "O", b: "z" } // N, NzO, NNO, NOzN, NO, ..., O, ..., SO, ...
+});
+var EAQI_NAMES = Object.freeze({ // category names of the European Air Quality Index
+  en: ["good", "fair", "moderate", "poor", "very poor", "extremely poor"],
+  de: ["gut", "akzeptabel", "mäßig", "schlecht", "sehr schlecht", "extrem schlecht"] });
+var USAQI_NAMES = Object.freeze({ // category names of the US EPA Air Quality Index
+  en: ["good", "moderate", "unhealthy for sensitive groups", "unhealthy", "very unhealthy", "hazardous"],
+  de: ["gut", "mäßig", "ungesund für empfindliche Gruppen", "ungesund", "sehr ungesund", "gefährlich"] });
+var CLASSIFICATIONS = Object.freeze({ // scales for format=<name> or classify=<name> with format=index (the class index), and format=<name>-name or
+  // classify=<name> (the class name in lang):
+  //   unit   : the unit of the limits, any input of the same dimension is converted to it ("" for plain numbers)
+  //   limits : the upper bounds (exclusive) of the classes 0, 1, 2, ..., values beyond the last limit are in the highest class
+  //   first  : the index of the lowest class (default: 0)
+  //   names  : the class names per language
+  "beaufort": { unit: "m/s", limits: [0.3, 1.6, 3.4, 5.5, 8, 10.8, 13.9, 17.2, 20.8, 24.5, 28.5, 32.7], names: {
+    en: ["calm", "light air", "light breeze", "gentle breeze", "moderate breeze", "fresh breeze", "strong breeze", "near gale", "gale",
+         "strong gale", "storm", "violent storm", "hurricane force"],
+    de: ["Windstille", "leiser Zug", "leichte Brise", "schwache Brise", "mäßige Brise", "frische Brise", "starker Wind", "steifer Wind",
+         "stürmischer Wind", "Sturm", "schwerer Sturm", "orkanartiger Sturm", "Orkan"] } },
+  "saffir-simpson": { unit: "km/h", limits: [119, 154, 178, 209, 252], names: {
+    en: ["no hurricane", "category 1", "category 2", "category 3", "category 4", "category 5"],
+    de: ["kein Hurrikan", "Kategorie 1", "Kategorie 2", "Kategorie 3", "Kategorie 4", "Kategorie 5"] } },
+  "pm25-eu": { unit: "µg/m³", limits: [10, 20, 25, 50, 75], first: 1, names: EAQI_NAMES },
+  "pm10-eu": { unit: "µg/m³", limits: [20, 40, 50, 100, 150], first: 1, names: EAQI_NAMES },
+  "no2-eu":  { unit: "µg/m³", limits: [40, 90, 120, 230, 340], first: 1, names: EAQI_NAMES },
+  "o3-eu":   { unit: "µg/m³", limits: [50, 100, 130, 240, 380], first: 1, names: EAQI_NAMES },
+  "pm25-us": { unit: "µg/m³", limits: [9.05, 35.45, 55.45, 125.45, 225.45], first: 1, names: USAQI_NAMES }, // 24 h means, 2024 breakpoints
+  "pm10-us": { unit: "µg/m³", limits: [55, 155, 255, 355, 425], first: 1, names: USAQI_NAMES },
+  "co2":     { unit: "ppm", limits: [1000, 2000], names: { // indoor air, following the German Umweltbundesamt
+    en: ["good", "elevated", "unacceptable"],
+    de: ["unbedenklich", "auffällig", "inakzeptabel"] } },
+  "uv":      { unit: "", limits: [2.5, 5.5, 7.5, 10.5], names: { // WHO UV index levels for the UV index rounded to whole numbers
+    en: ["low", "moderate", "high", "very high", "extreme"],
+    de: ["niedrig", "mäßig", "hoch", "sehr hoch", "extrem"] } },
+});
+var trace = null;            // the trace of the current invocation in explain mode (see significantExplain()), null otherwise
+var stateReadonly = false;   // true while explaining, so that explain=true doesn't change the states remembered per id
+var stateFallback = {};      // per-id state remembered across invocations in Node.js (openHAB evaluates the script anew, see loadState())
+var stateWarned = false;     // true once the missing openHAB cache was warned about (per invocation in openHAB)
 
 // Frequently used Math functions:
 var abs   = Math.abs;
@@ -114,8 +196,219 @@ Prefixes:
 All metric prefixes (mA, cm, kW, …) and binary prefixes (kiB, MiB, …) are supported—just prepend the symbol.
 */
 
-// Now the main function called by OpenHAB when the transformation is invoked:
-function significantTransform(i, opts = {}) {
+// Unit registry: the rules for each unit symbol known to significant.js (all fields are optional):
+//   dim       : the dimension of the unit, e.g. "temperature"
+//   base      : conversion to the base unit of the dimension (for to=), a factor or { factor, offset } like below, e.g. 1000 for km (base m),
+//               or { invert } for reciprocal units, e.g. { invert: 1e6 } for mired (base K)
+//   prec      : default precision (number of significant figures), a number or a function of the value
+//   bands     : "important value" bands as [precision, ...ranges], the first band whose ranges contain the value (see isWithin()) wins over prec
+//   scale     : default scale (number of decimal places), a number or a function of the value
+//   normalize : prefixes for normalization of large/small values (see normalizeVectorGeneric), null to suppress normalization
+//   to        : conversion always applied before the rules: { unit, factor, offset } converts to unit by (value + offset) * factor
+//   si        : conversion to the SI target applied only if si=true (system=metric), same format; with after=true the rules of this unit are used before converting
+//   imperial  : conversion to the imperial target applied only if system=imperial, same format
+//   uk        : conversion applied only if system=uk, same format; if missing, the si conversion is used, null means no conversion
+//   colortemp : true (or a function of the value) to round colour temperatures in perceptually even steps of MIRED_STEP mired
+//   quiet     : true to avoid always logging the final output (e.g. for frequently updated memory sizes)
+// More units can be added (or built-in ones replaced) with a "units" object in significant.json next to the script, or with opts.units.
+var precWind   = v => (abs(v) < 10) ? 1.5 : (abs(v) < 30) ? 1.3 : 1.5
+var precEnergy = v => max(1.5, magniTude(v) + 1.5) // precision is 1 for 1-digit values, 2 for 2-digit values, etc., but at least 1.5
+var precPower  = v => (abs(v) < 100) ? 1.5 : 2
+var precHPa    = [[3.5, [800, 1000]], [4.5, [1000, 1050]]] // special case for typical pressure around 1000 hPa
+var LOCALES = Object.freeze({ // decimal separator of numbers per locale (language or language-region), all other non-digits are grouping;
+  // spaces: true if a plain space is used for grouping, too (only before exactly three digits, e.g. "1 013,2")
+  en: { dec: "." }, "de-CH": { dec: "." }, "it-CH": { dec: "." }, ja: { dec: "." }, zh: { dec: "." },
+  de: { dec: ",", spaces: true }, fr: { dec: ",", spaces: true }, es: { dec: "," }, it: { dec: "," }, nl: { dec: "," }, pt: { dec: "," },
+  da: { dec: "," }, sv: { dec: ",", spaces: true }, nb: { dec: ",", spaces: true }, fi: { dec: ",", spaces: true },
+  pl: { dec: ",", spaces: true }, cs: { dec: ",", spaces: true }, ru: { dec: ",", spaces: true },
+});
+var DT_LEVELS = Object.freeze({ // named date-time scale levels (quarter is a quarter-hour)
+  year: -3, month: -2, week: -1, day: 0, hour: 1, quarter: 1.5, minute: 2, second: 3, ms: 4
+});
+var DURATION_UNITS = Object.freeze({ // time units of duration strings in seconds, with their aliases
+  d: 86400, day: 86400, days: 86400,
+  h: 3600, hr: 3600, hrs: 3600, hour: 3600, hours: 3600,
+  min: 60, mins: 60, minute: 60, minutes: 60, m: 60, // "m" is only taken as minutes in durations with several parts (e.g. "1h 23m")
+  s: 1, sec: 1, secs: 1, second: 1, seconds: 1,
+  ms: 0.001,
+});
+var DURATION_STEPS = Object.freeze([ // clock-friendly rounding steps of durations in seconds, see durationStep()
+  1, 2, 5, 10, 15, 30, 60, 2*60, 5*60, 10*60, 15*60, 30*60, 3600, 2*3600, 3*3600, 6*3600, 12*3600,
+]);
+var JSON_UNITS = Object.freeze({ // unit names often found in JSON payloads (only used for units extracted with unitpath, and for temp=)
+  C: "°C", degC: "°C", celsius: "°C", Celsius: "°C", F: "°F", degF: "°F", fahrenheit: "°F", Fahrenheit: "°F", deg: "°", degree: "°",
+});
+var PRESETS = Object.freeze({ // named parameter bundles for preset=, more can be added with a "presets" object in significant.json
+  "outdoor-temp":   { si: true, invalid: "-127" },  // 0.5 °C steps, without the error code of DS18B20 sensors (no limits, also for °F)
+  "indoor-temp":    { si: true, precision: 3, invalid: "-127" }, // 0.1 °C steps
+  "grid-voltage":   { unit: "V", precision: 3, min: 0 },
+  "grid-frequency": { unit: "Hz", precision: 4, min: 0 },
+  "rain-rate":      { si: true, to: "mm/h", precision: 2, min: 0 },
+  "wind-speed":     { si: true, to: "km/h", min: 0 },
+  "pv-power":       { to: "W", precision: 2, min: 0 },
+  "battery-soc":    { unit: "%", precision: 2, min: 0, max: 100 },
+  "disk-usage":     { prefix: "iec", precision: 3 },
+});
+var MIRED_STEP = 5; // step for rounding colour temperatures in mired (about the smallest difference visible)
+var PREFIXES = Object.freeze({ p: 1e-12, n: 1e-9, µ: 1e-6, u: 1e-6, m: 1e-3, c: 1e-2, d: 1e-1, h: 1e2, k: 1e3, M: 1e6, G: 1e9, T: 1e12, P: 1e15 }); // metric prefixes for to=
+var DATA_PREFIXES = Object.freeze({ // prefix ladders for data sizes and rates as [step, units...], see bestPrefix()
+  iec:     [1024, "B", "KiB", "MiB", "GiB", "TiB", "PiB"],
+  si:      [1000, "B", "kB", "MB", "GB", "TB", "PB"],
+  bit:     [1000, "bit", "kbit", "Mbit", "Gbit", "Tbit"],
+  "bit/s": [1000, "bit/s", "kbit/s", "Mbit/s", "Gbit/s", "Tbit/s"],
+});
+var UNITS = Object.freeze({
+  // Temperature
+  "°F":      { dim: "temperature", base: { offset: 459.67, factor: 5/9 }, prec: v => (abs(v) < 3) ? 1.3 : 2.5, bands: [[3, [190, 215]]], si: { unit: "°C", offset: -32, factor: 5/9 } },
+  "°C":      { dim: "temperature", base: { offset: 273.15 }, prec: v => (abs(v) < 1) ? 0.7 : (abs(v) < 10) ? 1.5 : 2.5, imperial: { unit: "°F", offset: 160/9, factor: 9/5 } },
+  "K":       { dim: "temperature", base: 1, prec: v => clamp(max(-1, magniTude(v)), [1, 3]) // more significant figures for higher temperatures, clamped to 1..3
+                                            + (isWithin(v, [0, 10], [273, 2], [273+98, 3]) ? 0.7 : 0), // ... and more around water freezing and boiling point
+               colortemp: v => isWithin(v, [1000, 20000]), normalize: null }, // colour temperatures of lamps, rounded in steps of about 5 mired
+  "mired":   { dim: "temperature", base: { invert: 1e6 }, prec: 2, colortemp: true, normalize: null, si: { unit: "K", invert: 1e6 } },
+  "mirek":   { dim: "temperature", base: { invert: 1e6 }, prec: 2, colortemp: true, normalize: null, si: { unit: "K", invert: 1e6 } },
+  "MK⁻¹":    { dim: "temperature", base: { invert: 1e6 }, prec: 2, colortemp: true, normalize: null, si: { unit: "K", invert: 1e6 } },
+
+  // Speed
+  "kn":      { dim: "speed", base: 0.514444, to: { unit: "mph", factor: 1.15078 } },
+  "mph":     { dim: "speed", base: 0.44704, prec: precWind, scale: 0, si: { unit: "km/h", factor: 1.609344, after: true }, uk: null }, // prefer km/h over m/s for typical weather station wind speed
+  "m/s":     { dim: "speed", base: 1, to: { unit: "km/h", factor: 3.6 } },
+  "km/h":    { dim: "speed", base: 1/3.6, prec: v => (abs(v) < 5) ? 1 : (abs(v) < 20) ? 1.5 : 2, imperial: { unit: "mph", factor: 1/1.609344 }, uk: { unit: "mph", factor: 1/1.609344 } },
+  "in/h":    { dim: "rainrate", base: 25.4, si: { unit: "mm/h", factor: 25.4 } },
+  "mm/h":    { dim: "rainrate", base: 1, imperial: { unit: "in/h", factor: 1/25.4 } },
+
+  // Length, distance, and precipitation
+  "yd":      { dim: "length", base: 0.9144, to: { unit: "ft", factor: 3 } },
+  "ft":      { dim: "length", base: 0.3048, to: { unit: "in", factor: 12 } },
+  "in":      { dim: "length", base: 0.0254, prec: 2, si: { unit: "cm", factor: 2.54 } },
+  "cm":      { dim: "length", base: 0.01, to: { unit: "mm", factor: 10 } }, // typical for precipitation
+  "mm":      { dim: "length", base: 0.001, prec: 2,   bands: [[1.7, [0, 80]]], imperial: { unit: "in", factor: 1/25.4 } }, // decrease precision for less than 80mm, probably precipitation
+  "m":       { dim: "length", base: 1, prec: 3,   bands: [[1.5, [0, 0.08]]], normalize: ["µ", "m", "", "k"] }, // typical for total precipitation
+  "mi":      { dim: "length", base: 1609.344, prec: 2.5, si: { unit: "km", factor: 1.609344 }, uk: null }, // long distances, exact factor: 1 mi = 1.609344 km
+  "km":      { dim: "length", base: 1000, prec: 2.5, imperial: { unit: "mi", factor: 1/1.609344 }, uk: { unit: "mi", factor: 1/1.609344 } },
+
+  // Durations
+  "d":       { dim: "time", base: 86400 },
+  "h":       { dim: "time", base: 3600, prec: 99 },
+  "min":     { dim: "time", base: 60, prec: v => magniTude(v) + 1 - (abs(v) > 12*60 ? 1 : 0) }, // 1 for 1-digit values, 2 for 2-digit values, etc., one less above 12 hours
+  "s":       { dim: "time", base: 1, prec: v => (abs(v) < 1000) ? 1.5 : 99, scale: v => (abs(v) < 1000) ? undefined : -2, normalize: ["µ", "m", ""] },
+
+  // Weights
+  "g":       { dim: "mass", base: 1e-3 },
+  "lbs":     { dim: "mass", base: 0.4536, prec: v => (abs(v) < 10) ? 1.8 : (abs(v) < 100) ? 2.8 : (abs(v) < 400) ? 3.8 : 3, si: { unit: "kg", factor: 0.4536 } },
+  "kg":      { dim: "mass", base: 1, prec: v => (abs(v) < 10) ? 1.8 : (abs(v) < 100) ? 2.8 : (abs(v) < 200) ? 3.8 : 3, scale: 1, imperial: { unit: "lbs", factor: 1/0.4536 } },
+
+  // Pressure
+  "psi":     { dim: "pressure", base: 6894.757, prec: 3, bands: [[3.5, [14.7, 0.7]]], si: { unit: "hPa", factor: 68.94757 } }, // exact factor: 1 psi = 68.94757293168 hPa
+  "inHg":    { dim: "pressure", base: 3386.389, prec: 3, bands: [[3.5, [30, 1.5]]],  si: { unit: "hPa", factor: 33.86386 } }, // exact factor: 1 inHg = 33.86388157895 hPa
+  "mmHg":    { dim: "pressure", base: 133.3224, prec: 3, bands: [[3.5, [750, 770]]], si: { unit: "hPa", factor: 1.33322 } },  // exact factor: 1 mmHg = 1.3332236842105263 hPa
+  "mbar":    { dim: "pressure", base: 100, prec: 3, bands: precHPa, imperial: { unit: "inHg", factor: 1/33.86386 } },
+  "hPa":     { dim: "pressure", base: 100, prec: 3, bands: precHPa, imperial: { unit: "inHg", factor: 1/33.86386 } },
+  "Pa":      { dim: "pressure", base: 1, prec: 3, bands: [[3.5, [80000, 100000]], [4.5, [100000, 105000]]], imperial: { unit: "inHg", factor: 1/3386.386 } },
+  "bar":     { dim: "pressure", base: 1e5, prec: 3, bands: [[3.5, [0.8, 1]], [4.5, [1, 1.05]]], imperial: { unit: "psi", factor: 14.50377 } }, // e.g. tyre pressure
+
+  // Power, energy
+  "Wh":      { dim: "energy", base: 3600, prec: v => max(1.5, magniTude(v) + 1.5 - 3), scale: 1, normalize: normalizeVectorGeneric }, // 3 less than for kWh
+  "VAh":     { dim: "energy", prec: precEnergy, scale: 1, normalize: normalizeVectorGeneric },
+  "kWh":     { dim: "energy", base: 3.6e6, prec: precEnergy, scale: 1 },
+  "J":       { dim: "energy", base: 1, scale: 0, normalize: normalizeVectorGeneric },
+  "cal":     { dim: "energy", base: 4.184, scale: 0, normalize: normalizeVectorGeneric },
+  "W":       { dim: "power", base: 1, prec: precPower, normalize: normalizeVectorGeneric },
+  "kW":      { dim: "power", base: 1e3, prec: precPower },
+  "MW":      { dim: "power", base: 1e6, prec: precPower },
+  "dBm":     { dim: "power", prec: precPower },
+  "W/m²":    { dim: "irradiance", base: 1, prec: v => (abs(v) < 10) ? 1.5 : 1.8 },
+  "µW/cm²":  { dim: "irradiance", base: 0.01, prec: v => (abs(v) < 10) ? 1.5 : 1.8 },
+
+  // Frequency/Rotation
+  "rpm":     { dim: "frequency", base: 1/60, prec: 3 },
+  "Hz":      { dim: "frequency", base: 1, prec: 2, bands: [[2.8, [50, 0.3], [60, 0.2], [400, 10]]], normalize: normalizeVectorGeneric }, // higher precision for power line frequency
+
+  // Electric: V, A, mA, F, C, Ah, S, S/m, H, Ω
+  "V":       { dim: "voltage", base: 1, prec: 2.7, bands: [[2.8, [110, 5], [230, 20], [400, 40]]], normalize: normalizeVectorGeneric },
+  "A":       { dim: "current", base: 1, prec: 2, normalize: normalizeVectorGeneric },
+  "kA":      { dim: "current", base: 1e3, prec: 2 },
+  "mA":      { dim: "current", base: 1e-3, prec: 2 },
+  "µA":      { dim: "current", base: 1e-6, prec: 2 },
+  "nA":      { dim: "current", base: 1e-9, prec: 2 },
+  "Ah":      { dim: "charge", base: 3600, prec: 2, normalize: normalizeVectorGeneric },
+  "mAh":     { dim: "charge", base: 3.6, prec: 2 },
+  "kAh":     { dim: "charge", base: 3.6e6, prec: 2 },
+  "C":       { dim: "charge", base: 1, prec: 2 }, // Electric charge
+  "Ω":       { dim: "resistance", base: 1, prec: 2, normalize: normalizeVectorGeneric },
+  "kΩ":      { dim: "resistance", base: 1e3, prec: 2 },
+  "MΩ":      { dim: "resistance", base: 1e6, prec: 2 },
+  "S":       { dim: "conductance", base: 1, prec: 2 },
+  "mS":      { dim: "conductance", base: 1e-3, prec: 2 },
+  "µS":      { dim: "conductance", base: 1e-6, prec: 2 },
+  "S/m":     { dim: "conductivity", base: 1, prec: 2 },
+
+  // Volume and volumetric flow
+  "gal":     { dim: "volume", base: 0.0037854, prec: 2.8, si: { unit: "l", factor: 3.7854 } },     // exact factor: 1 gal (US) = 3.785411784 liters
+  "gal/min": { dim: "flow", base: 0.0037854/60,   prec: 2.8, si: { unit: "l/min", factor: 3.7854 } },
+  "l":       { dim: "volume", base: 1e-3, prec: 2.8, bands: [[3, [8, 300]]], imperial: { unit: "gal", factor: 1/3.7854 } }, // special case for typical volume around 8..300 liters (e.g. fuel tank)
+  "m³":      { dim: "volume", base: 1, prec: 2.8 },
+  "l/min":   { dim: "flow", base: 1e-3/60,   prec: 2.8, imperial: { unit: "gal/min", factor: 1/3.7854 } },
+  "m³/s":    { dim: "flow", base: 1,   prec: 2.8 },
+  "m³/min":  { dim: "flow", base: 1/60,   prec: 2.8 },
+  "m³/h":    { dim: "flow", base: 1/3600,   prec: 2.8 },
+  "m³/d":    { dim: "flow", base: 1/86400,   prec: 2.8 },
+
+  // Air quality, dimensionless
+  "kg/m³":   { dim: "density", base: 1 },
+  "g/m³":    { dim: "density", base: 1e-3 },
+  "mg/m³":   { dim: "density", base: 1e-6, prec: 2.5 },
+  "µg/m³":   { dim: "density", base: 1e-9, prec: 2.5 },
+  "ppm":     { dim: "ratio", base: 1e-6, prec: 2.5 },
+  "ppb":     { dim: "ratio", base: 1e-9, prec: 2.5 },
+  "ppt":     { dim: "ratio", base: 1e-12, prec: 2.5 },
+  "dB":      { dim: "ratio", prec: 2.5 },
+  "percent": { dim: "ratio", base: 0.01, to: { unit: "%" } }, // treat option unit "percent" as "%" too - avoids problem with URL encoding of "%"
+  "%":       { dim: "ratio", base: 0.01, prec: 1.5, bands: [[1.2, [0, 4], [87, 102]]], normalize: null }, // be more precise closer to 0% or to 100%
+  "mol":     { dim: "substance", prec: 2.5 },
+  "kat":     { dim: "catalytic", prec: 2.5 },
+
+  // Data rates and memory sizes: don't normalize, the prefix is chosen by bestPrefix() instead (see DATA_PREFIXES)
+  "bit/s":   { dim: "datarate", base: 1, prec: 2, normalize: null },
+  "kbit/s":  { dim: "datarate", base: 1e3, prec: 2, normalize: null },
+  "Mbit/s":  { dim: "datarate", base: 1e6, prec: 2, normalize: null },
+  "Gbit/s":  { dim: "datarate", base: 1e9, prec: 2, normalize: null },
+  "Tbit/s":  { dim: "datarate", base: 1e12, prec: 2, normalize: null },
+  "bit":     { dim: "data", base: 1, prec: 2, normalize: null, quiet: true }, // do not always log final, to avoid log flooding with swap size logging
+  "kbit":    { dim: "data", base: 1e3, prec: 2, normalize: null, quiet: true },
+  "Mbit":    { dim: "data", base: 1e6, prec: 2, normalize: null, quiet: true },
+  "Gbit":    { dim: "data", base: 1e9, prec: 2, normalize: null, quiet: true },
+  "Tbit":    { dim: "data", base: 1e12, prec: 2, normalize: null, quiet: true },
+  "B":       { dim: "data", base: 8, prec: 2, normalize: null, quiet: true },
+  "KiB":     { dim: "data", base: 8 * 1024, prec: 2, normalize: null, quiet: true },
+  "MiB":     { dim: "data", base: 8 * 1024**2, prec: 2, normalize: null, quiet: true },
+  "GiB":     { dim: "data", base: 8 * 1024**3, prec: 2, normalize: null, quiet: true },
+  "TiB":     { dim: "data", base: 8 * 1024**4, prec: 2, normalize: null, quiet: true },
+  "PiB":     { dim: "data", base: 8 * 1024**5, prec: 2, normalize: null, quiet: true },
+  "kB":      { dim: "data", base: 8e3, prec: 2, normalize: null, quiet: true },
+  "MB":      { dim: "data", base: 8e6, prec: 2, normalize: null, quiet: true },
+  "GB":      { dim: "data", base: 8e9, prec: 2, normalize: null, quiet: true },
+  "TB":      { dim: "data", base: 8e12, prec: 2, normalize: null, quiet: true },
+  "PB":      { dim: "data", base: 8e15, prec: 2, normalize: null, quiet: true },
+
+  // Angle: don't normalize, rounded to 90°, 45°, 22.5° steps separately
+  "°":       { dim: "angle", prec: 2, normalize: null },
+});
+
+// Now the main function called by OpenHAB when the transformation is invoked (defaults are the options that even a preset overrides,
+// e.g. the "defaults" from significant.json):
+function significantTransform(i, opts = {}, defaults = {}) {
+    if (isTrue(opts.explain)) {
+        return JSON.stringify(significantExplain(i, opts, defaults))
+    }
+    let preset = undefined
+    const presetName = opts.preset ?? defaults.preset
+    if (presetName != null) { // fill in the parameters of a preset, explicit ones win
+        preset = presetOptions(String(presetName).trim(), opts.presets ?? defaults.presets)
+        if (!preset) {
+            warnit(`UNKNOWN preset "${presetName}", ignoring it.`);
+        }
+    }
+    opts = Object.assign({}, defaults, preset, opts)
 
     // map the given options (for unit testing or wrapper use) to special variables:
     var verbose   = opts.verbose
@@ -124,11 +417,40 @@ function significantTransform(i, opts = {}) {
     var precision = opts.precision ?? prec;
     var scale     = opts.scale
     var si        = opts.si;
+    var system    = opts.system;
     var unit      = opts.unit
+    var to        = opts.to;
+    var locale    = opts.locale;
+    var type      = opts.type;
+    var tz        = opts.tz;
+    var duration  = opts.duration;
+    var range     = opts.range;
+    var path      = opts.path;
+    var unitpath  = opts.unitpath;
+    var list      = opts.list;
+    var prefix    = opts.prefix;
+    var classify  = opts.classify;
+    var mode      = opts.mode;
+    var minimum   = opts.min;  // (not min/max, to keep the Math functions)
+    var maximum   = opts.max;
+    var invalid   = opts.invalid;
+    var reject    = opts.reject;
+    var pattern   = opts.pattern;
+    var altitude  = opts.altitude;
+    var temp      = opts.temp;
+    var reduce    = opts.reduce;
+    var ema       = opts.ema;
+    var median    = opts.median;
+    var maxjump   = opts.maxjump;
+    var idle      = opts.idle;
+    var outlocale = opts.outlocale;
     var div       = opts.div;
     var mult      = opts.mult;
     var skew      = opts.skew;
     var flicker   = opts.flicker;
+    var hysteresis = opts.hysteresis;
+    var format    = opts.format;
+    var lang      = opts.lang;
     // var normalize = false // opts.normalize; // normalization only on demand not yet implemented
 
     let input     = i.trim()  // store the incoming value (and optionally unit name) to be transformed
@@ -151,8 +473,34 @@ function significantTransform(i, opts = {}) {
     var divAsked   = undefined  // a divisor to be applied to the input value before skew adding and before rounding
     var multAsked  = undefined  // a multiplier to be applied to the input value before skew adding and before rounding
     var unitAsked  = undefined  // will carry the requested unit name
+    var toAsked    = undefined  // will carry the requested unit name to convert to
+    var typeAsked  = undefined  // will carry the requested input type, e.g. "epoch"
+    var tzAsked    = undefined  // will carry the requested time zone for date-times, e.g. "Europe/Berlin"
+    var durationAsked  = undefined // will carry the requested output of durations: text, iso, clock, or a time unit
+    var rangeAsked     = undefined // will carry how to treat ranges: mid (the default), min, max, or keep
+    var pathAsked      = undefined // will carry the JSON path of the value in a JSON input
+    var unitpathAsked  = undefined // will carry the JSON path of the unit in a JSON input
+    var listAsked      = undefined // will carry the separator of list inputs, or false to treat JSON arrays as single values
+    var prefixAsked    = undefined // will carry the prefixes for data sizes: iec, si or none
+    var modeAsked      = "nearest" // will carry the rounding mode: nearest, floor, ceil, half-even or trunc
+    var minAsked       = undefined // will carry the lowest plausible input value
+    var maxAsked       = undefined // will carry the highest plausible input value
+    var invalidAsked   = [ ]       // will carry the sentinel input values to reject
+    var rejectAsked    = "UNDEF"   // will carry the state to return for rejected input values
+    var patternAsked   = undefined // will carry the printf-style output pattern
+    var altitudeAsked  = undefined // will carry the altitude of the barometer in m
+    var tempAsked      = undefined // will carry the temperature at the barometer, with an optional unit (see celsius())
+    var reduceAsked    = "sealevel" // will carry the direction of the pressure reduction: sealevel or station
+    var filterAsked    = undefined // will carry the smoothing filters { ema, median, maxjump, idle } to apply per id before rounding
+    var localeAsked    = undefined // will carry the locale of numbers in the input ("auto" to guess)
+    var outlocaleAsked = undefined // will carry the locale of the number in the output
     var scaleAsked = undefined  // will carry the requested number of decimal places
     var siAsked    = true  // will carry true if units shall be transformed to SI units (default=true), e.g. °C instead of °F
+    var systemAsked = undefined // will carry the unit system to convert to: metric (same as siAsked), imperial, uk, or none
+    var formatAsked = undefined // will carry the requested output format, e.g. "compass"
+    var classifyAsked = undefined // will carry the name of the scale to classify the value in, e.g. "pm25-eu"
+    var langAsked  = "en"  // will carry the requested language for textual output
+    var hysteresisAsked = undefined // will carry the fraction of a rounding step the input must move past a border before the output changes
 
     // Defaults:
     var scaleSeeked = undefined
@@ -186,6 +534,16 @@ function significantTransform(i, opts = {}) {
         siAsked = !!setDefault(si, isTrue)
         strVerb += ` SI=${l(siAsked)}`
     }
+    systemAsked = siAsked ? "metric" : "none"
+    if (system != null) {
+        systemAsked = String(system).trim().toLowerCase()
+        if (!["metric", "imperial", "uk", "none"].includes(systemAsked)) {
+            warnit(`UNKNOWN system "${system}", using metric.`);
+            systemAsked = "metric"
+        }
+        siAsked = (systemAsked === "metric")
+        strVerb += ` SYS=${systemAsked}`
+    }
     if (precision != null || prec != null) { // alias prec to precision for backward compatibility
         precisionAsked = numOrUndef(precision ?? prec)
         strVerb += ` PREC=${precisionAsked}`;
@@ -194,7 +552,7 @@ function significantTransform(i, opts = {}) {
         }
     }
     if (scale != null) {
-        scaleAsked     = numOrUndef(scale)
+        scaleAsked     = DT_LEVELS[String(scale).trim().toLowerCase()] ?? numOrUndef(scale)
         strVerb += ` SCALE=${scaleAsked}`;
     }
     if (skew != null) {
@@ -249,47 +607,328 @@ function significantTransform(i, opts = {}) {
         unitAsked = unit
         strVerb += ` UNIT=${unitAsked}`
     }
+    if (to != null) {
+        toAsked = String(to).trim()
+        strVerb += ` TO=${toAsked}`
+    }
+    if (type != null) {
+        typeAsked = String(type).trim().toLowerCase()
+        strVerb += ` TYPE=${typeAsked}`
+    }
+    if (tz != null) {
+        tzAsked = String(tz).trim()
+        if (zoneOffset(tzAsked, Date.now()) == null) {
+            warnit(`UNKNOWN time zone "${tz}" (or no Intl support), keeping the offset of the input.`);
+            tzAsked = undefined
+        }
+        strVerb += ` TZ=${tzAsked}`
+    }
+    if (duration != null) {
+        durationAsked = String(duration).trim()
+        if (!["text", "iso", "clock", "d", "h", "min", "s", "ms"].includes(durationAsked)) {
+            warnit(`UNKNOWN duration output "${duration}", keeping the shape of the input.`);
+            durationAsked = undefined
+        }
+        strVerb += ` DUR=${durationAsked}`
+    }
+    if (range != null) {
+        rangeAsked = String(range).trim().toLowerCase()
+        if (!["mid", "min", "max", "keep"].includes(rangeAsked)) {
+            warnit(`UNKNOWN range "${range}", using mid.`);
+            rangeAsked = "mid"
+        }
+        strVerb += ` RANGE=${rangeAsked}`
+    }
+    if (path != null) {
+        pathAsked = String(path).trim()
+        strVerb += ` PATH=${pathAsked}`
+    }
+    if (unitpath != null) {
+        unitpathAsked = String(unitpath).trim()
+        strVerb += ` UPATH=${unitpathAsked}`
+    }
+    if (list != null) {
+        listAsked = (String(list).trim() === "") ? String(list) : String(list).trim() // keep a blank as separator
+        listAsked = (isTrue(listAsked)) ? "," : (listAsked.toLowerCase() === "false") ? false : listAsked
+        strVerb += ` LIST=${listAsked}`
+    }
+    if (prefix != null) {
+        prefixAsked = String(prefix).trim().toLowerCase()
+        if (!["iec", "si", "none"].includes(prefixAsked)) {
+            warnit(`UNKNOWN prefix "${prefix}", using the prefixes of the input unit.`);
+            prefixAsked = undefined
+        }
+        strVerb += ` PREFIX=${prefixAsked}`
+    }
+    if (mode != null) {
+        modeAsked = String(mode).trim().toLowerCase()
+        if (!["nearest", "floor", "ceil", "half-even", "trunc"].includes(modeAsked)) {
+            warnit(`UNKNOWN rounding mode "${mode}", using nearest.`);
+            modeAsked = "nearest"
+        }
+        strVerb += ` MODE=${modeAsked}`
+    }
+    if (minimum != null) {
+        minAsked = numOrUndef(minimum)
+        strVerb += ` MIN=${minAsked}`
+    }
+    if (maximum != null) {
+        maxAsked = numOrUndef(maximum)
+        strVerb += ` MAX=${maxAsked}`
+    }
+    if (invalid != null) {
+        invalidAsked = String(invalid).split(/[,;\s]+/).map(numOrUndef).filter(v => v != null)
+        strVerb += ` INVALID=${invalidAsked}`
+    }
+    if (reject != null) {
+        rejectAsked = String(reject).trim().toUpperCase()
+        if (rejectAsked !== "UNDEF" && rejectAsked !== "NULL") {
+            warnit(`UNKNOWN reject "${reject}", using UNDEF.`);
+            rejectAsked = "UNDEF"
+        }
+        strVerb += ` REJECT=${rejectAsked}`
+    }
+    if (pattern != null && String(pattern) !== "") {
+        patternAsked = String(pattern)
+        strVerb += ` PATTERN=${patternAsked}`
+    }
+    if (altitude != null) {
+        altitudeAsked = numOrUndef(altitude)
+        if (altitudeAsked != null && !(altitudeAsked >= -500 && altitudeAsked <= 11000)) {
+            warnit(`altitude ${altitude} m is out of range, it must be between -500 and 11000 m (the troposphere of the barometric formula), ignoring it.`);
+            altitudeAsked = undefined
+        }
+        strVerb += ` ALT=${altitudeAsked}`
+    }
+    if (temp != null) {
+        tempAsked = String(temp).trim()
+        strVerb += ` TEMP=${tempAsked}`
+    }
+    if (reduce != null) {
+        reduceAsked = String(reduce).trim().toLowerCase()
+        if (reduceAsked !== "sealevel" && reduceAsked !== "station") {
+            warnit(`UNKNOWN reduce "${reduce}", using sealevel.`);
+            reduceAsked = "sealevel"
+        }
+        strVerb += ` REDUCE=${reduceAsked}`
+    }
+    if (ema != null || median != null || maxjump != null) {
+        const jump = String(maxjump ?? "").match(/^\s*(\d+(?:\.\d+)?)\s*(%?)\s*$/)
+        filterAsked = {
+            ema:     (numOrUndef(ema) > 0) ? clamp(numOrUndef(ema), [0, 1]) : undefined,
+            median:  (numOrUndef(median) > 1) ? clamp(round(numOrUndef(median)), [2, 99]) : undefined,
+            maxjump: jump ? { amount: +jump[1], percent: jump[2] === "%" } : undefined,
+            idle:    numOrUndef(idle) ?? parseDuration(String(idle ?? ""), { single: true, short: true })?.secs ?? 3600,
+        }
+        if (!(filterAsked.idle > 0)) {
+            warnit(`idle must be more than 0 seconds (the filters would always start over), using 3600.`);
+            filterAsked.idle = 3600
+        }
+        if (!id) {
+            warnit(`ema, median and maxjump need an id to remember the values per item, ignoring them.`);
+            filterAsked = undefined
+        }
+        strVerb += ` FILTER=${JSON.stringify(filterAsked)}`
+    }
+    if (locale != null) {
+        localeAsked = String(locale).trim()
+        if (localeAsked !== "auto" && !localeOf(localeAsked)) {
+            warnit(`UNKNOWN locale "${locale}", guessing it per number instead.`);
+            localeAsked = "auto"
+        }
+        strVerb += ` LOC=${localeAsked}`
+    }
+    if (outlocale != null) {
+        outlocaleAsked = String(outlocale).trim()
+        if (!localeOf(outlocaleAsked)) {
+            warnit(`UNKNOWN outlocale "${outlocale}", ignoring it.`);
+            outlocaleAsked = undefined
+        }
+        strVerb += ` OUTLOC=${outlocaleAsked}`
+    }
     if (flicker != null) {
         // debugit(` FLICKER=${flicker}`);
         flickerEnabled=!!setDefault(flicker, isTrue)
         strVerb += ` FLICK=${l(flickerEnabled)}`;
     }
+    if (format != null) {
+        formatAsked = String(format).trim().toLowerCase()
+        if (!["compass", "compass+deg", "index"].includes(formatAsked) && !ownValue(CLASSIFICATIONS, formatAsked.replace(/-name$/, ""))) {
+            warnit(`UNKNOWN format "${format}", ignoring it.`);
+            formatAsked = undefined
+        }
+        strVerb += ` FORMAT=${formatAsked}`;
+    }
+    if (classify != null) {
+        classifyAsked = String(classify).trim().toLowerCase()
+        if (!ownValue(CLASSIFICATIONS, classifyAsked)) {
+            warnit(`UNKNOWN classify "${classify}", ignoring it (known: ${Object.keys(CLASSIFICATIONS).join(", ")}).`);
+            classifyAsked = undefined
+        }
+        strVerb += ` CLASSIFY=${classifyAsked}`;
+    }
+    if (lang != null) {
+        langAsked = String(lang).trim().toLowerCase()
+        strVerb += ` LANG=${langAsked}`;
+    }
+    if (hysteresis != null) {
+        hysteresisAsked = numOrUndef(hysteresis)
+        if (hysteresisAsked != null) {
+            hysteresisAsked = clamp(hysteresisAsked, [0, 0.5]) // beyond half a step the output would never follow a single step anymore
+        }
+        if (hysteresisAsked != null && !id) {
+            warnit(`hysteresis needs an id to remember the last value per item, ignoring it.`);
+            hysteresisAsked = undefined
+        }
+        strVerb += ` HYST=${hysteresisAsked}`;
+    }
 
     // input = "0.0123400" ; // keep some strange corner cases for testing purposes
     // input = "04.0"
     // input = ".09870"
     // input = "-0.19870"
 
+    // Pass openHAB states without a value (and empty or NaN inputs) through as they are:
+    if (["UNDEF", "NULL", "NaN", ""].includes(input)) {
+        debugit(`FINAL: "${input}" passed through.  ${strVerb}`);
+        traceit("branch", "passthrough")
+        return input
+    }
+
+    // If a JSON path is given: extract the value (and the unit) from a JSON input, e.g. {"temp":21.37,"unit":"C"} -> "21.37 °C"
+    if (pathAsked != null) {
+        let json = undefined
+        try {
+            json = JSON.parse(input)
+        } catch (e) {
+            warnit(`path=${pathAsked}, but input is no JSON, returning it unchanged: ${e.message}`);
+            return input
+        }
+        const v = jsonPath(json, pathAsked)
+        if (v == null) {
+            warnit(`path=${pathAsked} not found in input, returning it unchanged: ${input}`);
+            return input
+        }
+        const u = (unitpathAsked != null) ? jsonPath(json, unitpathAsked) : undefined
+        input = fmt((typeof v === "object") ? JSON.stringify(v) : String(v).trim(), (u == null) ? "" : ownValue(JSON_UNITS, u) ?? String(u))
+        if (typeof v === "number") {
+            localeAsked = undefined // JSON numbers are never localized, only strings like "21,5" are
+        }
+        debugit(`JSON: extracted "${input}" with path=${pathAsked} unitpath=${unitpathAsked}`);
+        traceit("extracted", input)
+    }
+
+    // If the input is a LIST (a JSON array, or e.g. "21.37,21.52,22.08 V" with list=,): transform each element on its own and return
+    // the list in the same shape, a unit given once at its end is shared by all elements (e.g. -> "21.5,21.5,22 V"):
+    const listed = (listAsked === false) ? undefined : splitList(input, listAsked, localeAsked)
+    if (listed) {
+        traceit("branch", "list")
+        // with a pattern, each element gets the pattern without %unit%, and its unit behind a marker to share it like without a pattern:
+        const unitMark = "\u0001"
+        const itemPattern = (patternAsked == null) ? undefined : patternAsked.replace(/\s*%unit%/g, "") + unitMark + "%unit%"
+        // transform each numeric element (nested JSON arrays element by element), and keep its rounded value and unit; other elements,
+        // e.g. "abc", null or objects, pass through unchanged
+        const leaves = [ ]
+        const transformItem = (item, key) => {
+            if (listed.json && Array.isArray(item)) return item.map((sub, n) => transformItem(sub, `${key}.${n}`))
+            if (!/^[+-]?(?:\d|\.\d)/.test((typeof item === "string" || typeof item === "number") ? String(item).trim() : "")) return { item }
+            const r = transformPart(fmt(String(item).trim(), listed.unit),
+                Object.assign({}, opts, { list: false, path: undefined, unitpath: undefined, pattern: itemPattern, id: opts.id && `${opts.id}#${key}`,
+                    locale: (listed.json && typeof item === "string") ? opts.locale : undefined })) // (JSON numbers and the elements of
+                                                                                                   // text lists need no delocalization)
+            const [ , v, u ] = (itemPattern && r.includes(unitMark)) ? [r].concat(r.split(unitMark)) : r.match(/^(\S+)\s+(.*)$/) ?? [r, r, ""]
+            const leaf = { item, r, v, u, numeric: /^[+-]?\d/.test(v) }
+            leaves.push(leaf)
+            return leaf
+        }
+        const tree = listed.items.map((item, n) => transformItem(item, String(n)))
+        const numeric = leaves.filter(leaf => leaf.numeric) // (rejected elements like UNDEF don't count for the shared unit)
+        const shared = (listed.unit !== "" && numeric.length > 0 && numeric.every(leaf => leaf.u === numeric[0].u)) ? numeric[0].u : ""
+        const render = node => Array.isArray(node) ? node.map(render) : (node.r == null) ? node.item
+            : (shared !== "" && node.numeric) ? node.v : itemPattern ? fmt(node.v, node.u) : node.r
+        const jsonValue = node => Array.isArray(node) ? node.map(jsonValue) // numbers stay numbers, if they are still plain numbers
+            : (typeof node.item === "number" && node.r != null && isFinite(render(node))) ? Number(render(node)) : render(node)
+        let output = undefined
+        if (listed.json) {
+            output = JSON.stringify(tree.map(jsonValue))
+        } else {
+            // with a decimal comma in the output (e.g. outlocale=de), a "," separator becomes "; ", e.g. -> "21,5; 21,5; 22 V"
+            const joiner = (localeOf(outlocaleAsked)?.dec === "," && listed.joiner.trim() === ",") ? "; " : listed.joiner
+            output = tree.map(render).join(joiner)
+        }
+        output = fmt(output, shared)
+        logit(`LIST: ${input} -> ${output}  ${strVerb}`);
+        return output // early return with the transformed list
+    }
+
     // If the input looks like a DATE-TIME string: scale the time part to a number of significant time parts (days, hours, minutes, seconds, ...):
-    // e.g. "2025-09-27T14:16:00.000+0200"
-    const dtregex = /^(\d{4})-([01]\d)-([0123]\d)(T| )([012]\d):([0-5]\d):([0-5]\d)(\.\d{3})([+-]\d{4})$/ // e.g. 2024-10-13T02:30:03.000+0200   
+    // e.g. "2025-09-27T14:16:00.000+0200", but also "2025-09-27T12:16:00Z", "2025-09-27 14:16+02:00", "2025-09-27", or epoch numbers with type=epoch
+    const dtregex = /^(\d{4})-([01]\d)-([0123]\d)(?:([T ])([012]\d):([0-5]\d)(?::([0-5]\d)(?:[.,](\d+))?)?)?(Z|[+-]\d{2}(?::?\d{2})?)?$/
     matches = input.match(dtregex);
-    if (matches) { // input is a timestamp with a numeric offset
-        const [ , yy, mo, dd, timesep, hh, mm, ss, dotms, tzoffset ] = matches // slice the matches into variables
-        const ms = parseInt(dotms.slice(1), 10)  // ".123" -> 123
-
-        // parse the offset +HHMM / -HHMM to minutes
-        const offsetMinutes = (tzoffset[0] === '-' ? -1 : 1) * (parseInt(tzoffset.slice(1, 3), 10) * 60 + parseInt(tzoffset.slice(3, 5), 10))
-
-        // default time-date scale levels in significant.js: 0=days, 1=hours, 2=minutes, 3=seconds, 4=milliseconds
-        scaleAsked = clamp(scaleAsked ?? 3, [0, 4])  // clamp scaleAsked to [0..4] with a default scale of 3
-
-        const localUtcMs = Date.UTC(+yy, +mo - 1, +dd, +hh, +mm, +ss, +ms) // local wall time -> UTC epoch ms (treat tzoffset as a fixed-offset zone)
-        const utcMs      = localUtcMs - offsetMinutes * 60 * 1000
-        const unitMs     = [24*3600e3, 3600e3, 60e3, 1e3, 1][scaleAsked] // choose rounding unit: day, hour, minute, second, millisecond
-        const roundedUtc = round(utcMs / unitMs) * unitMs // round in UTC, not in local wall time
-        const localMs    = roundedUtc + offsetMinutes * 60 * 1000 // convert back to local wall time with the same fixed offset
-        const dLoc = new Date(localMs)
-        // now read components using UTC getters (we already applied the offset):
-        let output =                   `${dLoc.getUTCFullYear()    }` + "-"
-            +                          `${dLoc.getUTCMonth() + 1   }`.padStart(2, "0")  + "-"
-            +                          `${dLoc.getUTCDate()        }`.padStart(2, "0")  + timesep
-            + (scaleAsked < 1 ? "00" : `${dLoc.getUTCHours()       }`.padStart(2, "0")) + ":"
-            + (scaleAsked < 2 ? "00" : `${dLoc.getUTCMinutes()     }`.padStart(2, "0")) + ":"
-            + (scaleAsked < 3 ? "00" : `${dLoc.getUTCSeconds()     }`.padStart(2, "0"))
-            // + (scaleAsked < 4 ? ""  : `.${dLoc.getUTCMilliseconds()}`.padStart(3, "0"))
-            + (scaleAsked < 4 ? "" : "." + String(dLoc.getUTCMilliseconds()).padStart(3, "0"))
-            + tzoffset;
+    if (matches || typeAsked === "epoch") { // input is an ISO-8601 timestamp (with or without offset), or an epoch number
+        traceit("branch", "date-time")
+        // default time-date scale levels in significant.js: 0=days, 1=hours, 2=minutes, 3=seconds, 4=milliseconds,
+        // and the calendar levels -1=weeks (starting on Monday), -2=months, -3=years, plus 1.5=quarter-hours
+        scaleAsked = clamp(scaleAsked ?? 3, [-3, 4])  // clamp scaleAsked to [-3..4] with a default scale of 3
+        let output = undefined
+        let utcMs  = undefined
+        let offsetMinutes = 0 // the fixed offset of the input, or of the time zone tzAsked
+        let epochInMs = false
+
+        if (!matches) { // epoch seconds or milliseconds, the output keeps the resolution of the input
+            const epoch = /^[+-]?\d+(?:\.\d+)?$/.test(input) ? Number(input) : NaN
+            if (!Number.isFinite(epoch)) {
+                warnit(`type=epoch, but "${input}" is no epoch number, returning it unchanged.`);
+                return input
+            }
+            epochInMs = abs(epoch) >= 1e11 // epoch milliseconds (from 1973 on) rather than seconds (until year 5138)
+            utcMs = epochInMs ? epoch : epoch * 1000
+        } else {
+            const [ , yy, mo, dd, , hh = "0", mm = "0", ss, frac, tzoffset = "" ] = matches // slice the matches into variables
+            const ms = frac ? parseInt(frac.padEnd(3, "0").slice(0, 3), 10) + Number(`0.${frac.slice(3)}`) : 0  // ".123" -> 123, ".5" -> 500, ".123456" -> 123.456
+
+            // parse the offset Z / +HH / +HHMM / +HH:MM / -HH:MM to minutes (no offset: round the wall time as is)
+            const offsetDigits = tzoffset.replace(/\D/g, "").padEnd(4, "0")
+            offsetMinutes = (tzoffset === "" || tzoffset === "Z") ? 0 : (tzoffset[0] === '-' ? -1 : 1) * (parseInt(offsetDigits.slice(0, 2), 10) * 60 + parseInt(offsetDigits.slice(2, 4), 10))
+
+            const localUtcMs = Date.UTC(+yy, +mo - 1, +dd, +hh, +mm, +(ss ?? 0)) + ms // local wall time -> UTC epoch ms (treat tzoffset as a fixed-offset zone)
+            utcMs = (tzAsked != null && tzoffset === "") ? zoneWallToUtc(tzAsked, localUtcMs) // no offset: a wall time in the zone asked for
+                : localUtcMs - offsetMinutes * 60 * 1000
+        }
+
+        // round in the local wall time (of the input offset, or of the time zone asked for), so that days, weeks etc. start at local midnight:
+        if (tzAsked != null) {
+            offsetMinutes = zoneOffset(tzAsked, utcMs)
+        }
+        let localMs = roundWallTime(utcMs + offsetMinutes * 60 * 1000, scaleAsked, modeAsked)
+        let roundedUtc = localMs - offsetMinutes * 60 * 1000
+        if (tzAsked != null) { // the offset might be different after rounding (DST): days, weeks etc. start at the local midnight of the
+            // zone, shorter levels keep the offset they were rounded in (02:00 in a DST gap is 03:00 with the new offset)
+            if (scaleAsked <= 0) roundedUtc = zoneWallToUtc(tzAsked, localMs)
+            offsetMinutes = zoneOffset(tzAsked, roundedUtc)
+            localMs = roundedUtc + offsetMinutes * 60 * 1000
+        }
+        traceit("dateTime", { instant: new Date(utcMs).toISOString(), level: scaleAsked, mode: modeAsked, tz: tzAsked ?? null,
+            offset: offsetMinutes, rounded: new Date(roundedUtc).toISOString() })
+
+        if (!matches) {
+            output = String(epochInMs ? roundedUtc : roundedUtc / 1000)
+        } else {
+            const [ , , , , timesep, , , ss, frac, tzoffset = "" ] = matches
+            const dLoc = new Date(localMs)
+            // now read components using UTC getters (we already applied the offset), the output has the same parts as the input:
+            output =                           `${dLoc.getUTCFullYear()    }` + "-"
+                +                              `${dLoc.getUTCMonth() + 1   }`.padStart(2, "0")  + "-"
+                +                              `${dLoc.getUTCDate()        }`.padStart(2, "0")
+            if (timesep) {
+                output += timesep
+                    + (scaleAsked < 1   ? "00" : `${dLoc.getUTCHours()     }`.padStart(2, "0")) + ":"
+                    + (scaleAsked < 1.5 ? "00" : `${dLoc.getUTCMinutes()   }`.padStart(2, "0"))
+                    + (ss == null       ? ""   : ":" + (scaleAsked < 3 ? "00" : `${dLoc.getUTCSeconds()}`.padStart(2, "0")))
+                    + (scaleAsked < 4 || frac == null ? "" : "." + String(dLoc.getUTCMilliseconds()).padStart(3, "0")) // (ms resolution at most)
+            }
+            output += (tzAsked != null && tzoffset !== "") ? formatOffset(offsetMinutes, tzoffset) : tzoffset;
+        }
 
         if (input !== output || alwaysLogFinal || debugFinal || verboseAsked) {
             // log only differences between input and output date-time strings and differing string suffixes of input and output
@@ -299,22 +938,101 @@ function significantTransform(i, opts = {}) {
     }
     debugit(`input=${input}, match date regex: ${(matches ? "YES" : "NO")}`);
     
+    // Rewrite localized numbers (e.g. "1.013,2 hPa" or "12,5\u202F°C") into JS notation before parsing them:
+    if (localeAsked != null) {
+        const delocalized = delocalize(input, localeAsked)
+        if (delocalized !== input) {
+            debugit(`locale ${localeAsked}: "${input}" -> "${delocalized}"`);
+            input = delocalized
+        }
+    }
+
+    // If the input looks like a DURATION ("PT1H23M45S", "01:23:45", "2d 4h", or "1:23" with duration=): round it to significant figures of
+    // its largest part in clock-friendly steps, e.g. "1 h 23 min 45 s" is 1.4 h at 2 figures, in steps of 5 min (-> "1 h 25 min"), or
+    // return it as number in a time unit with duration=h etc.:
+    const dur = parseDuration(input, { short: durationAsked != null })
+    if (dur) {
+        traceit("branch", "duration")
+        traceit("seconds", dur.secs)
+        const durPrecision = (precisionAsked != null && precisionAsked !== 0) ? precisionAsked : 2
+        let output = undefined
+        if (durationAsked != null && ownValue(DURATION_UNITS, durationAsked) != null && !["text", "iso", "clock"].includes(durationAsked)) {
+            output = fmt(roundSignificant(dur.secs / DURATION_UNITS[durationAsked], durPrecision, 99, modeAsked), durationAsked)
+        } else {
+            const largest = [86400, 3600, 60].find(u => abs(dur.secs) >= u) ?? 1 // the unit of the largest part: d, h, min or s
+            const frac = roundTo(durPrecision - floor(durPrecision), 1) // fractional precisions give 2..5 steps per figure (see roundSignificant())
+            const step = durationStep(largest * Math.pow(10, magniTude(dur.secs / largest) - floor(durPrecision) + 1)
+                / ((frac > 0) ? clamp(Math.ceil(1 / min(frac, 1 - frac)), [2, 5]) : 1))
+            traceit("step", step)
+            output = formatDuration(roundWith(dur.secs / step, modeAsked) * step, durationAsked ?? dur.shape, dur.short && !durationAsked)
+        }
+        output = localizeNumber(output, outlocaleAsked)
+        logit(`DURATION: ${input} (${dur.secs} s) -> ${output} (${durPrecision})  ${strVerb}`);
+        return output // early return with the rounded duration
+    }
+    if (/^\d{1,2}:[0-5]\d$/.test(input)) { // "14:17" without duration= is a time of day, not a number
+        logit(`FINAL: "${input}" is a time of day, passed through.  ${strVerb}`);
+        traceit("branch", "passthrough")
+        return input
+    }
+    matches = input.match(/^([+-]?\d+(?:\.\d+)?)(s|min|h|d)$/) // a time value without a blank, e.g. "12s", is the same as "12 s"
+    if (matches) {
+        input = `${matches[1]} ${matches[2]}`
+    }
+
     // Now, parse the value from the input value (and the unit if any):
     var value = parseFloat(input);
     var origValue = 0
     var newValue  = 0
     var origUnit  = ""
     var finalUnit  = ""
-    if (isNaN(value)) { // check for special cases of NaN or non-numeric input, such as "0-1", "1-2", etc.
-        // treat special input cases "0-1", "1-2", "2-3" as midpoints, e.g. as from https://www.openhab.org/addons/bindings/dwdpollenflug
-        matches = input.match(/(-?\d+(?:\.\d+)?)\s*-\s*(-?\d+(?:\.\d+)?)/)
-        if (! matches) { // special case for ranges like "0-1", "1-2", "2-3"
-            logit(`FINAL: "${input}" is NaN.`)
-            return input // take an early exit for NaN non-numeric values, and return the whole input as is.
-        }
-        value = (parseFloat(matches[1]) + parseFloat(matches[2])) / 2  // ... and no unit allowed in this case
-        logit(`input="${input}" treated as midpoint value ${value}.`)
-        origValue = matches[1] + "-" + matches[2]
+    var figures    = input // the numeric text to count the significant figures of the input in
+
+    // rejected(): why a value is to be rejected with min=, max= and invalid= (e.g. sensor error codes like -127 °C), or undefined if not
+    const rejected = v => invalidAsked.some(iv => abs(v - iv) < 1e-9) ? "an invalid value"
+        : ((minAsked != null && v < minAsked) || (maxAsked != null && v > maxAsked)) ? "out of range" : undefined
+
+    // a range has exactly two numeric ends: chains like "1-2-3" and year-months like "2024-10" are no ranges, and passed through
+    if (/\d\s*(?:-|–|\.\.)\s*[+-]?\d+(?:\.\d+)?\s*(?:-|–|\.\.)\s*[+-]?\d/.test(input) || /(?:^|\D)\d{4}-(?:0[1-9]|1[0-2])(?!\d)/.test(input)) {
+        logit(`FINAL: "${input}" is no range of two numbers, passed through.  ${strVerb}`);
+        traceit("branch", "passthrough")
+        return input
+    }
+    // check for special cases of ranges, such as "0-1", "1-2", "12 - 18 °C" or "-5 - -2" (a "-" right before a number is its sign),
+    // or within non-numeric input such as "Level 1-2" (no unit allowed in this case):
+    matches = input.match(/^([+-]?\d+(?:\.\d+)?)\s*(?:-|–|\.\.)\s*([+-]?\d+(?:\.\d+)?)(?:\s*(\D.*))?$/)
+        ?? (isNaN(value) ? input.match(/(-?\d+(?:\.\d+)?)\s*-\s*(-?\d+(?:\.\d+)?)/) : null)
+    if (matches) {
+        const [ , lo, hi ] = matches
+        const rangeUnit = (matches[0] === input && matches[3]) ? matches[3].trim() : ""
+        traceit("range", { lo: lo, hi: hi, unit: rangeUnit, mode: rangeAsked ?? "mid" })
+        const reason = rejected(+lo) ?? rejected(+hi) // a range is only plausible if both of its ends are
+        if (reason) {
+            traceit("branch", "rejected")
+            warnit(`REJECTED: "${input}" has ${reason === "out of range" ? "an end out of range" : reason + " as end"}, returning ${rejectAsked}.  ${strVerb}`);
+            return rejectAsked
+        }
+        if (rangeAsked === "keep") { // round both ends separately with the precision for their unit and return them as range again
+            const ends = [ [lo, "min"], [hi, "max"] ].map(([v, end]) =>
+                transformPart(fmt(v, rangeUnit), Object.assign({}, opts, { range: undefined, id: opts.id && `${opts.id}#${end}`,
+                    locale: undefined }))) // (the ends are delocalized already)
+            const [ , loValue, loUnit = "" ] = ends[0].match(/^(\S+)\s*(.*)$/)
+            const [ , hiValue, hiUnit = "" ] = ends[1].match(/^(\S+)\s*(.*)$/)
+            const output = (loUnit === hiUnit) ? fmt(loValue + (hiValue[0] === "-" ? " - " : "-") + hiValue, loUnit) : `${ends[0]} - ${ends[1]}`
+            logit(`RANGE: ${input} -> ${output}  ${strVerb}`);
+            return output
+        }
+        // treat ranges as midpoints (by default), e.g. as from https://www.openhab.org/addons/bindings/dwdpollenflug, or as their lower or upper end:
+        value = (rangeAsked === "min") ? min(+lo, +hi) : (rangeAsked === "max") ? max(+lo, +hi) : (+lo + +hi) / 2
+        logit(`input="${input}" treated as ${rangeAsked ?? "mid"} value ${value}.`)
+        origValue = lo + "-" + hi
+        unit_i    = rangeUnit
+        origUnit  = unit_i
+        figures   = (lo.replace(/\D/g, "").length >= hi.replace(/\D/g, "").length) ? lo : hi // the end with more figures
+    } else if (isNaN(value)) { // check for special cases of NaN or non-numeric input
+        logit(`FINAL: "${input}" is NaN.`)
+        traceit("branch", "NaN")
+        return input // take an early exit for NaN non-numeric values, and return the whole input as is.
     } else {
         matches = input.match(/\s+(.*)$/)
         if (matches) { // consider the stuff behind a space to be the unit.
@@ -331,10 +1049,20 @@ function significantTransform(i, opts = {}) {
         }
     }
 
+    traceit("value", value)
+    traceit("unit", unit_i)
+
+    // Reject implausible input values, e.g. sensor error codes like -127 °C, with UNDEF or NULL instead of a real-looking number:
+    if (rejected(value)) {
+        traceit("branch", "rejected")
+        warnit(`REJECTED: "${input}" is ${rejected(value)}, returning ${rejectAsked}.  ${strVerb}`);
+        return rejectAsked
+    }
+
     // Now determine the number of significant figures of the original INPUT value (i.e. those figures before AND after the decimal point):
 
     // extract to m the first numeric token: supports "12.3 °C", "-.0450", "1.20e3", etc.
-    const m = input.trim().match(/^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/)
+    const m = figures.trim().match(/^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/)
     if (!m) {
         return input;  // this should not happen, since we parsed a float before
     }
@@ -346,6 +1074,7 @@ function significantTransform(i, opts = {}) {
         precisionFound = digits.replace(/^0+/, "").length
     }
     debugit(`input: origValue=${origValue} ${origUnit} (${precisionFound}) ${strVerb}`);
+    traceit("precisionFound", precisionFound)
 
     // Now deal with the requested modifications of the input value before rounding:
     if ( unitAsked != null) {
@@ -354,297 +1083,80 @@ function significantTransform(i, opts = {}) {
         }
         logit(` unit: "${unit_i || "(none)"}" > "${unitAsked || "(none)"}"  ${strVerb}`) ;
         unit_i = (unitAsked === ".") ? "" : unitAsked ;  // force unit
+        traceit("unitForced", unit_i)
     }
 
-    // Now the main part: Modify precision defaults depending on the unit coming in or asked for:
-    switch (unit_i) {
-    case "°F": // Temperature
-        if (!siAsked) {
-            precisionSeeked = (abs(value)<3) ? 1.3 : isWithin(value, [190, 215]) ? 3 : 2.5
-            break
-        }
-        [value, unit_i] = trans(value-32, 5/9, "°C") ; // convert and fallthrough to °C ...
-    case "°C":
-        precisionSeeked = (abs(value) < 1) ? 0.7 : (abs(value) < 10) ? 1.5 : 2.5
-        break;
-    case "K":
-        precisionSeeked  = max(-1, magniTude(value)) // more significant figures for higher temperatures
-        precisionSeeked  = clamp(precisionSeeked, [1, 3]) // clamp it to 1..3
-        precisionSeeked += isWithin(value, [0, 10], [273, 2], [273+98, 3]) ? 0.7 : 0 // increase prec for special cases around water freezing and boiling point
-        logit(`Kelvin hit: value=${value} ${unit_i} precSeeked=${precisionSeeked} ${strVerb}`);
-        break;
-
-    // Speed
-    case "kn":
-        [ value, unit_i ] = trans(value, 1.15078, "mph"); // convert kn to mph
-    case "mph":
-        precisionSeeked = (abs(value) < 10) ? 1.5 : (abs(value) < 30) ? 1.3 : 1.5
-        scaleSeeked = 0
-        if (siAsked) {
-            [ value, unit_i ] = trans(value, 1.609344, "km/h") ; // convert mph to km/h (prefer km/h over m/s for typical weather station wind speed)
-        }
-        break
-    case "m/s":
-        [ value, unit_i ] = trans(value, 3.6, "km/h") ; // fallthrough to km/h ...
-    case "km/h":
-        precisionSeeked = (abs(value) < 5) ? 1 : (abs(value) < 20) ? 1.5 : 2
-        break;
-    case "in/h":
-        if (siAsked) {
-            [ value, unit_i ] = trans(value, 25.4, "mm/h") ; // convert in/h to mm/h
-        }
-        break;
-
-    // Length, distance, and precipitation
-    case "yd":
-        [ value, unit_i ] = trans(value, 3, "ft") ; // convert yd to ft
-    case "ft":
-        [ value, unit_i ] = trans(value, 12, "in") ; // fallthrough to in ...
-    case "in":
-        if (! siAsked) {
-            precisionSeeked = 2
-            break
-        }
-        [ value, unit_i ] = trans(value, 2.54, "cm") ; // fallthrough to cm ...
-    case "cm": // typical for precipitation
-        [ value, unit_i ] = trans(value, 10, "mm") ; // fallthrough to mm ...
-    case "mm": // typical for precipitation
-        precisionSeeked = isWithin(value, [0, 80]) ? 1.7 : 2 // decrease precision for less than 80mm, probably precipitation
-        // logit(`mm hit: value=${value} ${unit_i} (ORIG: ${origValue} ${origUnit})  ${strVerb}`);
-        break;
-    case "m": // typical for total precipitation
-        precisionSeeked = isWithin(value, [0, 0.08]) ? 1.5 : 3 // decrease precision for less than 0.08m, probably precipitation
-        normalizeVector = [ "µ", "m", "", "k" ];
-        logit(`${unit_i} hit: value=${value} ${unit_i} (ORIG: ${origValue} ${origUnit})  ${strVerb}`);
-        break;
-
-    // Durations:
-    case "h":
-        precisionSeeked = 99
-        break
-    case "min": // Time
-        precisionSeeked = magniTude(value) + 1 // precision starts 1 for 1-digit values, 2 for 2-digit values, etc.
-        precisionSeeked -= abs(value) > 12*60 ? 1 : 0 // reduce precision by 1 for values > 12 hours
-        break
-    case "s":
-        // if (verboseAsked) { debugEnabled = true; } // FIXME: only for testing purposes
-        normalizeVector = [ "µ", "m", "" ];
-        if (abs(value)<1000) {
-            precisionSeeked = 1.5
+    // Now the main part: Modify precision defaults depending on the unit coming in or asked for, following the unit registry and its conversions:
+    const units = unitRegistry(opts.units)
+    let colortemp = false // will be true for colour temperatures, to round them in mired
+    let converted = false // will be true if the unit was converted by to=, then the unit's own conversions are skipped
+    if (toAsked != null && toAsked !== "") {
+        const from   = resolveUnit(unit_i, units)
+        const target = resolveUnit(toAsked, units)
+        if (unit_i === toAsked) {
+            converted = true
+        } else if (!from || !target || from.dim !== target.dim) {
+            warnit(`can't convert "${unit_i}" (${from?.dim ?? "unknown"}) to "${toAsked}" (${target?.dim ?? "unknown"}), passing the value through unchanged. ${strVerb}`);
         } else {
-            precisionSeeked = 99
-            scaleSeeked = -2
+            const base = convertValue(value, from.base)
+            logit(` to: ${value} ${unit_i} -> ${base} (${from.dim} base) -> ${toAsked} ${strVerb}`);
+            value = convertBack(base, target.base)
+            traceit("conversions", { from: unit_i, to: toAsked, value: value, by: "to" }, true)
+            unit_i = toAsked
+            converted = true
         }
-        break
-
-    // Weights:
-    case "lbs":
-        if (! siAsked) {
-            precisionSeeked = (abs(value) < 10) ? 1.8 : (abs(value) < 100) ? 2.8 : (abs(value) < 400) ? 3.8 : 3
-            break
+    }
+    if (altitudeAsked != null && resolveUnit(unit_i, units)?.dim === "pressure") { // station <-> sea-level pressure, in any pressure unit
+        const factor = seaLevelFactor(altitudeAsked, celsius(tempAsked, units))
+        debugit(` reduce: ${value} ${unit_i} to ${reduceAsked} pressure with factor ${factor} for ${altitudeAsked} m`);
+        value = (reduceAsked === "station") ? value / factor : value * factor
+        traceit("conversions", { from: unit_i, to: unit_i, value: value, by: `reduce=${reduceAsked}` }, true)
+    }
+    if (prefixAsked !== "none" && !converted) { // pick the best prefix for data sizes and rates, e.g. 1536000 B -> 1.46 MiB
+        const [ v, u ] = bestPrefix(value, unit_i, prefixAsked)
+        if (u !== unit_i) {
+            debugit(` prefix: ${value} ${unit_i} -> ${v} ${u}`);
+            traceit("conversions", { from: unit_i, to: u, value: v, by: "prefix" }, true);
+            [ value, unit_i ] = [ v, u ]
         }
-        [ value, unit_i ] = trans(value, 0.4536, "kg") ; // convert lbs to kg and fallthrough to kg ...
-    case "kg":    // Weight
-        const av =  abs(value)
-        precisionSeeked = (av<10) ? 1.8 : (av<100) ? 2.8 : (av<200) ? 3.8 : 3
-        scaleSeeked = 1
-        break
-
-    // Pressure units: Pa, hPa, mmHg, mbar, psi, inHg, bar,
-    case "psi":
-    case "inHg":
-    case "mmHg":
-        if (! siAsked) {
-            switch (unit_i) {
-            case "psi":
-                precisionSeeked = isWithin(value, [14.7, 0.7]) ? 3.5 : 3 // special case for typical atmospheric pressure around 14.7 psi
-                break
-            case "inHg":
-                precisionSeeked = isWithin(value, [30, 1.5]) ? 3.5 : 3 // special case for typical pressure around 30 inHg
-                break
-            case "mmHg":
-                precisionSeeked = isWithin(value, [750, 770]) ? 3.5 : 3 // special case for typical pressure around 760 mmHg
-                break
-            default:
-                precisionSeeked = 3
-                break
-            }
-            break
+    }
+    let rule = ownValue(units, unit_i)
+    let hops = 0 // guards against conversion loops in user-defined units
+    while (rule) {
+        const conv = converted ? undefined : rule.to ?? systemConversion(rule, systemAsked) // conversion for this unit, if any
+        if (conv && !conv.after && hops++ < 10) {
+            debugit(` convert: ${value} ${unit_i} -> ${conv.unit}`);
+            traceit("conversions", { from: unit_i, to: conv.unit, value: convertValue(value, conv), by: rule.to ? "unit" : systemAsked }, true);
+            [ value, unit_i ] = [ convertValue(value, conv), conv.unit ] // ... and continue with the rules of the converted unit
+            rule = ownValue(units, unit_i)
+            continue
         }
-        // convert to SI and fallthrough to hPa ...
-    case "mbar":
-    case "hPa": // Pressure
-        switch (unit_i) {
-        case "psi": // psi -> hPa
-            [ value, unit_i ] = trans(value, 68.94757, "hPa") ; // exact factor: 1 psi = 68.94757293168 hPa
-            break
-        case "inHg": // inHg -> hPa
-            [ value, unit_i ] = trans(value, 33.86386, "hPa") ; // exact factor: 1 inHg = 33.86388157895 hPa
-            break
-        case "mmHg": // mmHg -> hPa
-            [ value, unit_i ] = trans(value, 1.33322, "hPa") ; // exact factor: 1 mmHg = 1.3332236842105263 hPa
-            break
+        precisionSeeked = rulePrecision(rule, value) ?? precisionSeeked
+        traceit("rule", Object.assign({ unit: unit_i }, rule)) // (functions are left out of the JSON)
+        scaleSeeked     = (typeof rule.scale === "function") ? rule.scale(value) : rule.scale ?? scaleSeeked
+        colortemp       = (typeof rule.colortemp === "function") ? rule.colortemp(value) : !!rule.colortemp
+        if (rule.normalize !== undefined) {
+            normalizeVector = rule.normalize ?? undefined // null means: don't normalize
         }
-        precisionSeeked = isWithin(value, [800, 1000])     ? 3.5 : isWithin(value, [1000, 1050]) ? 4.5 : 3 // special case for typical pressure around 1000 hPa
-        break
-    case "Pa": // Pressure
-        precisionSeeked = isWithin(value, [80000, 100000]) ? 3.5 : isWithin(value, [100000, 105000]) ? 4.5 : 3 // special case for typical pressure around 100000 Pa
-        break
-    case "bar":
-        precisionSeeked = isWithin(value, [0.8, 1])        ? 3.5 : isWithin(value, [1, 1.05]) ? 4.5 : 3 // special case for typical pressure around 1 bar
-        break
-
-    // Power, Energy: Ws, Wh, VAh
-    case "Wh":
-    case "VAh":
-        normalizeVector = normalizeVectorGeneric
-    case "kWh":
-        precisionSeeked = magniTude(value) + 1.5; // precision is 1 for 1-digit values, 2 for 2-digit values, etc.
-        if (unit_i === "Wh") precisionSeeked -= 3; // reduce precision by 3 for Wh
-        precisionSeeked = max(1.5, precisionSeeked) // .. but at least 1.5
-        scaleSeeked = 1
-        break
-
-    case "J":
-    case "cal": // Energy: J, varh, cal
-        normalizeVector = normalizeVectorGeneric
-        scaleSeeked = 0
-        break
-
-    case "rpm": // Rotation
-        precisionSeeked = 3
-        break
-    case "Hz": // Frequency/Rotation
-        normalizeVector = normalizeVectorGeneric;
-        precisionSeeked = isWithin(value, [50, 0.3], [60, 0.2], [400, 10]) ? 2.8 : 2 // higher precision for power line frequency
-        break;
-
-    // Electric: V, A, mA, F, C, Ah, S, S/m, H, Ω
-    case "A":
-    case "Ah":
-    case "Ω":
-        normalizeVector = normalizeVectorGeneric;
-    case "kA":
-    case "mA":
-    case "µA":
-    case "nA":
-    case "mAh":
-    case "kAh":
-    case "mS":
-    case "µS":
-    case "S": // Conductance
-    case "S/m": // Conductance density
-    case "C": // Electric charge
-    case "kΩ":
-    case "MΩ":
-        precisionSeeked = 2
-        break
-
-    case "W": // Power
-        normalizeVector = normalizeVectorGeneric;
-    case "kW":
-    case "MW":
-    case "dBm":
-        precisionSeeked = (abs(value) < 100) ? 1.5 : 2
-        break
-
-    case "W/m²": // Irradiance/Intensity
-    case "µW/cm²":
-        precisionSeeked = (abs(value) < 10) ? 1.5 : 1.8
-        break
-
-    case "V": // Voltage
-        normalizeVector = normalizeVectorGeneric;
-        precisionSeeked = isWithin(value, [110, 5], [230, 20], [400, 40]) ? 2.8 : 2.7
-        break;
-
-    // Volume: l, m³, gal (US)
-    // Volumetric flow: l/min, m³/s, m³/min, m³/h, m³/d, gal/min. :
-    case "gal":
-    case "gal/min":
-        if (! siAsked) {
-            precisionSeeked = 2.8
-            break
+        if (rule.quiet) {
+            debugFinal = false; // FIXME: do not always log final if div with SCALING is used, to avoid log flooding with swap size logging
         }
-        [ value, unit_i ] = trans(value, 3.7854, unit_i.replace("gal", "l")) ; // exact factor: 1 gal (US) = 3.785411784 liters
-    case "l":
-    case "l/min":
-    case "m³":
-    case "m³/s":
-    case "m³/min":
-    case "m³/h":
-    case "m³/d":
-        precisionSeeked = (unit_i==="l" && isWithin(value, [8, 300])) ? 3 : 2.8 // special case for typical volume around 8..300 liters (e.g. fuel tank)
-        break
-
-    case "mi": // Long distances
-        if (siAsked) {
-            [ value, unit_i ] = trans(value, 1.609344, "km") ; // exact factor: 1 mi = 1.609344 km
-        }
-        // fallthrough to kilometers and use same default precision ...
-    case "km":
-        precisionSeeked = 2.5 // use same default for mi and km
-        break;
-
-    case "mg/m³": // Typical for air quality
-    case "µg/m³":
-        precisionSeeked = 2.5
-        break;
-
-    case "Mbit/s": // Data rates
-    case "kbit/s":
-    case "bit/s":
-        precisionSeeked = 2
-        normalizeVector = undefined; // don't normalize data rates
-        break;
-    case "Mbit": // Memory sizes
-    case "kbit":
-    case "bit":
-    case "TiB":
-    case "GiB":
-    case "MiB":
-    case "KiB":
-    case "B":
-        debugFinal = false; // FIXME: do not always log final if div with SCALING is used, to avoid log flooding with swap size logging
-        precisionSeeked = 2
-        normalizeVector = undefined; // don't normalize memory sizes
-        break;
-
-    case "ppm":
-    case "ppb":
-    case "ppt":
-    case "dB":
-    case "mol":
-    case "kat":
-        precisionSeeked = 2.5
-        break;
-
-    case "percent":
-        unit_i = "%"; // treat option unit "percent" as "%" too - avoids problem with URL encoding of "%"
-    case "%": // Percent
-        precisionSeeked = isWithin(value, [0, 4], [87, 102]) ? 1.2 : 1.5 // be more precise closer to 0% or to 100%
-        normalizeVector = undefined; // don't normalize percentages
-        // logit(`Percent hit: value=${value} ${unit_i}  ${strVerb}`);
-        break;
-
-    case "°": // Angle
-        precisionSeeked = 2
-        normalizeVector = undefined; // don't normalize angles
-        // prec=1: between <45 and >315 degrees -> 0°, between 45 and 135 -> 90°, between 135 and 225 -> 180°, between 225 and 315 -> 270°
-        // prec=2: between 337.5 and 22.5 degrees -> 0°, between 22.5 and 67.5 -> 45°, between 67.5 and 112.5 -> 90°, between 112.5 and 157.5 -> 135°
-        // prec=3: between 348.75 and 11.25 degrees -> 0°, between 11.25 and 33.75 -> 22.5°, between 33.75 and 56.25 -> 45°, between 56.25 and 78.75 -> 67.5°
-        // therefore: prec=1 -> 90° steps, prec=2 -> 45° steps, prec=3 -> 22.5° steps
-        // for prec==1 need to divide by 90, round, and multiply by 90, but add
-       break;
-
-    default: // Unknown unit -> use the default precision defined above
-        // precisionSeeked = 2 was set above as default
-        if (unit_i !== "" && (testingAsked || verboseAsked)) {
-            warnit(`Unknown input unit: "${unit_i}" ${strVerb}, value=${value} prec=${precisionSeeked}/${precisionAsked}, please contact author and/or set it with unit=${unit_i} parameter.`)
+        if (conv && conv.after) { // convert after the rules of this unit were applied (e.g. mph -> km/h)
+            traceit("conversions", { from: unit_i, to: conv.unit, value: convertValue(value, conv), by: `${systemAsked}, after the rules` }, true);
+            [ value, unit_i ] = [ convertValue(value, conv), conv.unit ]
         }
         break
     }
+    if (!Number.isFinite(value)) { // e.g. 0 mired, which is no colour temperature in K
+        traceit("branch", "rejected")
+        warnit(`REJECTED: "${input}" has no value in ${unit_i}, returning ${rejectAsked}.  ${strVerb}`);
+        return rejectAsked
+    }
+    if (!rule && !resolveUnit(unit_i, units) && unit_i !== "" && (testingAsked || verboseAsked)) { // Unknown unit -> use the default precision defined above
+        warnit(`Unknown input unit: "${unit_i}" ${strVerb}, value=${value} prec=${precisionSeeked}/${precisionAsked}, please contact author and/or set it with unit=${unit_i} parameter.`)
+    }
 
+    traceit("precisionRule", precisionSeeked)
     if (precisionAsked != null ) {
         if (precisionAsked === 0) {
             warnit(`precisionAsked===0, ignoring it.`);
@@ -657,8 +1169,12 @@ function significantTransform(i, opts = {}) {
     }
 
     var targetPrecisionSeeked = precisionSeeked;
+    traceit("precisionSeeked", precisionSeeked)
     finalUnit = unit_i
     value += (skewAsked ?? 0)  // ... also apply any skew, if given
+    if (filterAsked != null && unit_i !== "°") { // smooth noisy values before rounding (not for angles, which wrap around)
+        value = filterValue(id, value, unit_i, filterAsked)
+    }
 
     if (unit_i === "°") {  // handle angle values specially/differently:
         // 0..360° only, round to 90°, 45°, 22.5° steps
@@ -666,67 +1182,60 @@ function significantTransform(i, opts = {}) {
         angledivider = 90 / floor(precisionSeeked)
         var v = roundTo(value / angledivider, 5) // round to 5 decimal places to avoid rounding errors
         if (precisionSeeked === 1 || precisionSeeked === 2) { // the sectors might be chosen differently....
-            newValue = floor(v+0.5) * angledivider  // good for odd precisionSeeked (1=90°), more compass-like (2=45°)
+            newValue = roundWith(v, modeAsked) * angledivider  // good for odd precisionSeeked (1=90°), more compass-like (2=45°)
         } else {
-            newValue = floor(  v  ) * angledivider  +  (angledivider/2)   // good for even precisionSeeked (2=45°, 4=22.5°)
+            newValue = roundWith(v - 0.5, modeAsked === "trunc" ? "floor" : modeAsked) * angledivider  +  (angledivider/2)   // good for even precisionSeeked (2=45°, 4=22.5°)
+        }
+        newValue = ((newValue % 360) + 360) % 360
+        traceit("angle", { divider: angledivider, sectors: v, rounded: newValue })
+        if (hysteresisAsked != null) {
+            newValue = hysteresisHold(id, value, newValue, unit_i, hysteresisAsked, 360)
         }
-        newValue = newValue % 360
         debugit(`Angle: v=${v}, value=${value}° (${compassAngleToDir(value,precisionSeeked)}), newValue=${newValue}° (${compassAngleToDir(value,precisionSeeked)}), anglediv=${angledivider} ${strVerb}`);
     } else if (value === 0) {
         debugFinal = false; // avoid logging final zero values unless verboseAsked
+        traceit("zero", true)
+        if (hysteresisAsked != null) {
+            newValue = hysteresisHold(id, value, newValue, unit_i, hysteresisAsked)
+        }
     } else {
         if (divAsked != null) {
             value /= divAsked // apply the divisor if given
             logit(`DIV: divAsked=${divAsked} for value=${value} unit=${unit_i} ${strVerb}`);
+            traceit("div", { by: divAsked, value: value })
         }
         if (multAsked != null) {
             value *= multAsked // apply the multiplier if given
             logit(`MULT: multAsked=${multAsked} for value=${value} unit=${unit_i} ${strVerb}`);
+            traceit("mult", { by: multAsked, value: value })
         }
 
         // Now take care of all the significant figure rounding!
         var frac = roundTo(precisionSeeked - floor(precisionSeeked), 1) // split off the fractional part from the precisionSeeked (1 digit)
-        precisionSeeked = floor(precisionSeeked)
-        var magnit = undefined;
-        var power  = undefined;
-        magnit = magniTude(value)  // magnitude is 0 for 1-9, 1 for 10-99, 2 for 100-999 and so on....
-        power = Math.pow(10, magnit - precisionSeeked + 1) // when prec=1: power is 100 for prec=2 and value=349 (magnit=2)
+        var magnit = magniTude(value)  // magnitude is 0 for 1-9, 1 for 10-99, 2 for 100-999 and so on....
+        var power  = Math.pow(10, magnit - floor(precisionSeeked) + 1) // when prec=1: power is 100 for prec=2 and value=349 (magnit=2)
         debugit(`=== value=${value} ${unit_i} Seeked=${precisionSeeked} AND Found=${precisionFound}, magnit=${magnit} power=${power} frac=${frac} ${strVerb}`);
-        if (frac > 0 && precisionFound > precisionSeeked) {
-            if (frac === 0.9 || frac===0.1 ) { warnit(`prec is ${precisionSeeked} + 0.9, same as prec=${precisionSeeked+1}, consider using integer precisions only.`); }
-            var rounded = 0
-            debugit(` == Rounding value=${value} with frac=${frac}, precisionSeeked=${precisionSeeked} ${strVerb}`);
-            frac = Number( frac>0.5 ? (1.0-frac) : frac) // .toFixed(1) // make symmetric: 0.6 -> 0.4, 0.7 -> 0.3 ..., avoid floating point issues by toFixed(1)
-            frac = roundTo(frac, 1) // avoid floating point issues
-            let mult = clamp(Math.ceil(1/frac), [2, 5]) // mult is 2 for frac=0.5, 3 for frac=0.4, 4 for frac=0.3, 5 for frac=0.2
-            let sign = value<0 ? -1 : 1
-            // debugit(`  frac=${frac} -> mult=${mult}`);
-            newValue = sign * floor(abs(value) / power) * power // cut off to the integer part with the given precision
-            let normalizedvalue = sign * (value-newValue) / Math.pow(10, magnit - precisionSeeked)  // normalize the value to be between 1 and 10
-            debugit(` normalizedvalue=${normalizedvalue} (value=${value}, newValue=${newValue}, sign=${sign})`);
-
-            // taking a certain mult, iterate the borders to find the right one:
-            let borders = BORDERS0[mult]; // borders for values for main figures equal to 0
-            let middles = MIDDLES0[mult];
-            if (abs(newValue) < 1e-12) { // FIXME: treat rounding errors as 0
-                // now distinguish the corner cases of not putting unneeded figures to a newValue that already has enough significant figures
-                debugit(` newValue=${newValue}: Choosing BORDERS0/MIDDLES0`);
-            } else {
-                borders = BORDERS1[mult];  // for precision fractions with a main value different from 0
-                middles = MIDDLES1[mult];
-                debugit(` newValue=${newValue}: Choosing BORDERS1/middles1`);
-            }
-            let i = 0;
-            debugit(` Finding rounded value for normalizedvalue=${normalizedvalue}, mult=${mult} (frac=${frac}) in borders=${borders}`);
-            while (i < borders.length && normalizedvalue > borders[i]) i++;
-            rounded = middles[i]
-            newValue = toPrec(newValue + sign * rounded * Math.pow(10, magnit - precisionSeeked), precisionSeeked+1)
-            debugit(` ROUNDED=${rounded} into newValue=${newValue} BECAUSE border[${i}]=${i === 0 ? 0 : borders[i-1]} for mult=${mult} (frac=${frac}) : i=${i}`);
+        if (colortemp && precisionAsked == null) { // colour temperatures: in perceptually even steps, e.g. 2712 K -> 2700 K
+            newValue = roundColortemp(value, unit_i === "K", modeAsked)
+            traceit("colortemp", true)
         } else {
-            newValue = toPrec(value, precisionSeeked)
+            newValue = roundSignificant(value, precisionSeeked, precisionFound, modeAsked)
+        }
+        traceit("rounded", newValue)
+        precisionSeeked = floor(precisionSeeked)
+        if (hysteresisAsked != null) {
+            newValue = hysteresisHold(id, value, newValue, unit_i, hysteresisAsked)
+        }
+        if (prefixAsked !== "none" && !converted) { // rounding may reach the next prefix, e.g. 999 B -> 1000 B -> 1 kB
+            const [ v, u ] = bestPrefix(newValue, unit_i, prefixAsked)
+            if (u !== unit_i) {
+                newValue  = roundSignificant(v, targetPrecisionSeeked, precisionFound, modeAsked)
+                finalUnit = u
+                traceit("conversions", { from: unit_i, to: u, value: newValue, by: "prefix, after rounding" }, true)
+            }
         }
         let scale3 = Math.trunc(magniTude(newValue)/3)
-        if (scale3 !== 0 && normalizeVector != null) { // magnitude could even be 1 larger...
+        if (scale3 !== 0 && normalizeVector != null && !converted) { // magnitude could even be 1 larger... (to= keeps the unit asked for)
             // convert number to scientific notation and back to avoid signalling unneeded significant figures
             // only normalize with multiples of 3 and use the normalizeVector if given:
             // debugEnabled = true; // FIXME: only for testing purposes
@@ -736,6 +1245,7 @@ function significantTransform(i, opts = {}) {
             if (normalizeVector[scale3+baseUnitIndex]) {
                 newValue = newValue / Math.pow(10, 3*scale3)
                 finalUnit = normalizeVector[scale3+baseUnitIndex] + unit_i
+                traceit("prefix", normalizeVector[scale3+baseUnitIndex])
                 // debugit(` NORMALIZE: scale3=${scale3} * 3 applied to magnit=${magnit}: newValue=${newValue} finalUnit=${finalUnit}`);
                 scale3=0 // since we chose the fitting unit
             } else {
@@ -759,6 +1269,7 @@ function significantTransform(i, opts = {}) {
                 newValue += flickerAmount;
             }
         }
+        newValue = plainNumber(newValue) // without scientific notation, e.g. "1013 hPa" (or "5000000 mm" in the unit asked for by to=)
         debugit(` newValue=${newValue}, precisionSeeked=${precisionSeeked}  ${strVerb}`);
     }
 
@@ -767,12 +1278,60 @@ function significantTransform(i, opts = {}) {
         consolelog(`SIGNF: ${logMsg}`)
     }
 
+    if (formatAsked === "compass" || formatAsked === "compass+deg") {
+        if (unit_i !== "°") {
+            warnit(`format=${formatAsked} needs an angle in °, not "${unit_i}", ignoring it.`);
+        } else {
+            // the rounded angles are exact sector centers for 4 and 8 directions only, so use the input angle for finer resolutions,
+            // and show the center of its sector (e.g. 22.5° steps for 16 directions) with the direction:
+            const scale = clamp(floor(precisionSeeked), [1, 4])
+            const step  = 90 / 2 ** (scale - 1)
+            const dir   = compassAngleToDir(scale <= 2 ? newValue : value, scale, langAsked)
+            const deg   = (scale <= 2) ? newValue : (floor((value + step / 2) / step) * step) % 360
+            traceit("compass", dir)
+            return formatAsked === "compass" ? dir : `${dir} (${deg}°)`
+        }
+    }
+
+    const [ , className, classNamed ] = (classifyAsked != null) ? [ , classifyAsked, formatAsked !== "index" ]
+        : formatAsked?.match(/^(.+?)(-name)?$/) ?? []
+    const classScale = ownValue(CLASSIFICATIONS, className)
+    if (classScale) { // classify the unrounded value, e.g. format=beaufort: "18.7 km/h" -> 3, classify=uv: "6.4" -> "high"
+        const cls = classOf(value, unit_i, classScale, langAsked, units)
+        if (!cls) {
+            warnit(`${className} needs a value in ${classScale.unit} or a convertible unit, not "${unit_i}", ignoring it.`);
+        } else {
+            logit(`CLASS: ${fmt(value, unit_i)} -> ${className} ${cls.index} (${cls.name})  ${strVerb}`);
+            traceit("class", Object.assign({ scale: className }, cls))
+            return classNamed ? cls.name : String(cls.index)
+        }
+    }
+
     if (testingAsked && new Date().getSeconds() % 5 === 0) { // at every full 5 seconds, return the original value for testing purposes
-        const out = fmt(origValue, origUnit);
+        const out = localizeNumber(fmt(origValue, origUnit), outlocaleAsked);
         logit(`RETURNing origValue: ${out}`);
         return out;
     }
-    return fmt(newValue, finalUnit);
+    if (patternAsked != null) { // the pattern renders the final value and unit, after rounding, mode=, hysteresis and prefixes
+        return formatPattern(patternAsked, newValue, finalUnit, localeOf(outlocaleAsked)?.dec, modeAsked)
+    }
+    return localizeNumber(fmt(newValue, finalUnit), outlocaleAsked);
+}
+
+// significantExplain(): transform like significantTransform(), but return a trace of all its decisions together with the output, e.g.
+// { input, options, value, unit, precisionFound, rule, conversions, precisionRule, precisionSeeked, frac, mult, steps, prefix, output }
+function significantExplain(i, opts = {}, defaults = {}) {
+    const outer = trace // (parts of lists and ranges are explained on their own, see transformPart())
+    const outerReadonly = stateReadonly
+    trace = { input: i, options: Object.assign({}, opts, { explain: undefined }) }
+    stateReadonly = true // hysteresis and filters are explained with the remembered states, but don't change them
+    try {
+        trace.output = significantTransform(i, trace.options, defaults)
+        return trace
+    } finally {
+        trace = outer
+        stateReadonly = outerReadonly
+    }
 }
 
 // -------------------------
@@ -790,6 +1349,523 @@ function suffixDiff(a, b) {
   return { aSuffix: a.slice(pos), bSuffix: b.slice(pos) };
 }
 
+// unitRegistry(): return the built-in unit registry, extended by the units from significant.json and by extra units (an object or JSON string)
+function unitRegistry(extra) {
+    const fromFile = readConfig().units
+    if (typeof extra === "string") {
+        try {
+            extra = JSON.parse(extra)
+        } catch (e) {
+            warnit(`can't parse units option as JSON, ignoring it: ${e.message}`);
+            extra = undefined
+        }
+    }
+    return (fromFile || extra) ? Object.assign({}, UNITS, fromFile, extra) : UNITS
+}
+
+// configOptions(): return the options for an id from significant.json as { defaults, own }: its "defaults" (which even a preset overrides,
+// see significantTransform()) and the entry of the id in "ids" (which overrides a preset); {} for those that are missing
+function configOptions(id) {
+    const config = readConfig()
+    const layer = (name, options) => {
+        if (options == null) return {}
+        if (typeof options !== "object" || Array.isArray(options)) {
+            warnit(`"${name}" in ${configName} is no object of options, ignoring it.`);
+            return {}
+        }
+        return options
+    }
+    const ids = config.ids ?? {}
+    return {
+        defaults: layer("defaults", config.defaults),
+        own:      layer(`ids.${id}`, (id && Object.prototype.hasOwnProperty.call(ids, id)) ? ids[id] : undefined),
+    }
+}
+
+// presetOptions(): return the parameters of a named preset from PRESETS, the "presets" in significant.json, or extra (an object or a
+// JSON string like opts.presets), or undefined if there is none
+function presetOptions(name, extra) {
+    if (typeof extra === "string") {
+        try {
+            extra = JSON.parse(extra)
+        } catch (e) {
+            warnit(`can't parse presets option as JSON, ignoring it: ${e.message}`);
+            extra = undefined
+        }
+    }
+    return ownValue(extra, name) ?? ownValue(readConfig().presets, name) ?? ownValue(PRESETS, name)
+}
+
+// resolveUnit(): return dimension and conversion to the base unit { dim, base: { factor, offset } } for a unit symbol of the registry,
+// also for a metric prefix in front of one (e.g. "GW" or "kPa"); returns undefined for unknown units or those without a base conversion
+function resolveUnit(sym, units) {
+    const rule = ownValue(units, sym)
+    if (rule && rule.base != null) {
+        return { dim: rule.dim, base: (typeof rule.base === "number") ? { factor: rule.base } : rule.base }
+    }
+    for (const [prefix, factor] of Object.entries(PREFIXES)) {
+        const unprefixed = ownValue(units, sym.slice(prefix.length))
+        if (sym.length > prefix.length && sym.startsWith(prefix) && unprefixed && typeof unprefixed.base === "number") { // no prefixes for offsets
+            return { dim: unprefixed.dim, base: { factor: factor * unprefixed.base } }
+        }
+    }
+    return undefined
+}
+
+// bestPrefix(): return [value, unit] of a data size or rate with the best prefix from DATA_PREFIXES, switching to the next prefix once
+// the value reaches 1000 (e.g. 1536000 B -> 1.46 MiB, 1000 KiB -> 0.98 MiB); prefix ("iec" or "si") selects the ladder for bytes,
+// by default the one of the unit; other units are returned unchanged
+function bestPrefix(value, unit, prefix) {
+    const from = Object.values(DATA_PREFIXES).find(ladder => ladder.includes(unit))
+    if (!from) return [ value, unit ]
+    const to = (from[1] === "B") ? ownValue(DATA_PREFIXES, prefix) ?? from : from // bits always stay 1000-based
+    const amount = value * from[0] ** (from.indexOf(unit) - 1) // in B, bit or bit/s
+    let n = 1
+    while (n < to.length - 1 && abs(amount) / to[0] ** n >= 1000 / to[0]) n++
+    return [ amount / to[0] ** (n - 1), to[n] ]
+}
+
+// celsius(): return a temperature given as text with an optional unit in °C (e.g. "12" or "12 °C", "54 °F", "54 degF" or "285 K"), or
+// undefined if there is none; warns if it has no number or no unit of temperature, then the standard atmosphere is used
+function celsius(text, units) {
+    if (text == null || text === "") return undefined
+    const [ , number, unit = "" ] = text.match(/^([+-]?\d+(?:\.\d+)?)\s*(.*)$/) ?? []
+    const from = resolveUnit(ownValue(JSON_UNITS, unit) ?? (unit || "°C"), units)
+    if (number === undefined || from?.dim !== "temperature") {
+        warnit(`temp="${text}" is no temperature, using the one of the standard atmosphere.`);
+        return undefined
+    }
+    return convertBack(convertValue(+number, from.base), resolveUnit("°C", units).base)
+}
+
+// seaLevelFactor(): return the factor from the station pressure at an altitude in m to the sea-level pressure (QNH) with the barometric
+// formula, for a temperature at the station in °C (default: of the standard atmosphere at that altitude)
+function seaLevelFactor(altitude, temperature = 15 - 0.0065 * altitude) {
+    return Math.pow(1 - 0.0065 * altitude / (temperature + 0.0065 * altitude + 273.15), -5.257)
+}
+
+// rulePrecision(): return the default precision of a unit rule for a value: from the first matching band, or else from prec
+function rulePrecision(rule, value) {
+    const band = (rule.bands ?? []).find(([, ...ranges]) => isWithin(value, ...ranges))
+    if (band) return band[0]
+    return (typeof rule.prec === "function") ? rule.prec(value) : rule.prec
+}
+
+// systemConversion(): return the conversion of a unit rule into the given unit system (metric, imperial, uk), or undefined for none
+function systemConversion(rule, system) {
+    switch (system) {
+    case "metric":
+        return rule.si ?? undefined
+    case "imperial":
+        return rule.imperial ?? undefined
+    case "uk": // metric, except for speeds and distances in mph and mi
+        return (rule.uk !== undefined) ? rule.uk ?? undefined : rule.si ?? undefined
+    default:
+        return undefined
+    }
+}
+
+// convertValue(): convert a value with a conversion { factor, offset } (or { invert } for reciprocal units, NaN for 0) of the unit registry
+function convertValue(value, conv) {
+    if (conv.invert != null) return (value === 0) ? NaN : conv.invert / value
+    return (value + (conv.offset ?? 0)) * (conv.factor ?? 1)
+}
+
+// convertBack(): convert a value back with a conversion of the unit registry, e.g. from the base unit of a dimension
+function convertBack(value, conv) {
+    if (conv.invert != null) return (value === 0) ? NaN : conv.invert / value
+    return value / (conv.factor ?? 1) - (conv.offset ?? 0)
+}
+
+// classOf(): return the { index, name } of the class of a value in a scale from CLASSIFICATIONS, converting it to the unit of the scale
+// first; undefined if the unit can't be converted
+function classOf(value, unit, scale, lang, units) {
+    const from   = resolveUnit(unit, units)
+    const target = resolveUnit(scale.unit, units)
+    if (unit !== scale.unit && (!from || !target || from.dim !== target.dim)) return undefined
+    const v = (unit === scale.unit) ? value : convertBack(convertValue(value, from.base), target.base)
+    const found = scale.limits.findIndex(limit => v < limit)
+    const index = (found < 0) ? scale.limits.length : found
+    return { index: index + (scale.first ?? 0), name: (ownValue(scale.names, lang) ?? scale.names.en)?.[index] ?? String(index) }
+}
+
+// readConfig(): return the optional configuration significant.json next to the script (openHAB transform folder, or the folder of the
+// script in Node.js), it is only read again when modified (in openHAB, the last one read is kept in the private cache, since the
+// script is evaluated anew each time); returns {} if there is none or it can't be parsed
+function readConfig() {
+    let mtime = undefined
+    configCache = privateCache()?.get("significant.js:config") ?? configCache
+    try {
+        let text = undefined
+        if (runsInNode()) {
+            const fs = require("fs")
+            const path = require("path").join(__dirname, configName)
+            if (!fs.existsSync(path)) return {}
+            mtime = fs.statSync(path).mtimeMs
+            if (mtime === configCache.mtime) return configCache.config
+            text = fs.readFileSync(path, "utf8")
+        } else if (typeof Java !== "undefined") {
+            const Files = Java.type("java.nio.file.Files")
+            const path  = Java.type("java.nio.file.Paths").get(Java.type("org.openhab.core.OpenHAB").getConfigFolder(), "transform", configName)
+            if (!Files.exists(path)) return {}
+            mtime = Files.getLastModifiedTime(path).toMillis()
+            if (mtime === configCache.mtime) return configCache.config
+            text = String(Files.readString(path))
+        } else {
+            return {}
+        }
+        configCache = { mtime: mtime, config: JSON.parse(text) ?? {} }
+    } catch (e) {
+        warnit(`can't read ${configName}, ignoring it: ${e.message}`);
+        configCache = { mtime: mtime, config: {} } // don't warn again until the file is modified
+    }
+    privateCache()?.put("significant.js:config", configCache)
+    return configCache.config
+}
+
+// runsInNode(): return true if the script runs in Node.js (and not in openHAB)
+function runsInNode() {
+    return typeof module !== "undefined" && module && module.exports && typeof process !== "undefined" && process.versions && process.versions.node
+}
+
+// privateCache(): return the private cache of openHAB, which is kept between the evaluations of the script, or undefined if there is none
+function privateCache() {
+    return (typeof cache !== "undefined" && cache && cache.private) ? cache.private : undefined
+}
+
+// loadState(): return the state remembered for a given key across invocations: from the openHAB private cache, or in Node.js from
+// stateFallback; in openHAB without the cache nothing can be remembered (the script starts anew each time), which is warned about
+function loadState(key) {
+    const store = privateCache()
+    if (store) return store.get(`significant.js:${key}`) ?? undefined
+    if (runsInNode()) return stateFallback[key]
+    warnNoState(key)
+    return undefined
+}
+
+// saveState(): remember a state for a given key across invocations (see loadState()), not while explaining
+function saveState(key, state) {
+    if (stateReadonly) return
+    const store = privateCache()
+    if (store) {
+        store.put(`significant.js:${key}`, state)
+    } else if (runsInNode()) {
+        stateFallback[key] = state
+    } else {
+        warnNoState(key)
+    }
+}
+
+// warnNoState(): warn once that the state for a key (e.g. "hyst:myitem") can't be remembered without the openHAB cache
+function warnNoState(key) {
+    if (stateWarned) return
+    stateWarned = true
+    warnit(`no openHAB cache (cache.private) to remember values between invocations, ${key.startsWith("hyst:") ? "hysteresis" : "ema, median and maxjump"} can't work.`);
+}
+
+// filterValue(): return the filtered value for id: a spike beyond filter.maxjump is replaced by the last filtered value (until 3 came in a
+// row, then the filters start over at the new level), otherwise the value goes through the sliding median and exponential smoothing;
+// the filters start over after filter.idle seconds without values or when the unit changes
+function filterValue(id, value, unit, filter) {
+    const withUnit = v => unit ? `${v} ${unit}` : String(v)
+    const now = Date.now()
+    let state = loadState(`filter:${id}`)
+    if (!state || state.unit !== unit || now - state.time > filter.idle * 1000) {
+        state = { unit: unit, window: [], ema: undefined, filtered: undefined, rejects: 0 }
+    }
+    state.time = now
+    if (filter.maxjump && state.filtered != null) {
+        const limit = filter.maxjump.percent ? abs(state.filtered) * filter.maxjump.amount / 100 : filter.maxjump.amount
+        if (abs(value - state.filtered) > limit) {
+            if (state.rejects < 3) {
+                state.rejects++
+                saveState(`filter:${id}`, state)
+                warnit(`SPIKE: ${withUnit(value)} is more than ${limit} away from ${withUnit(state.filtered)}, rejected (${state.rejects} in a row).`);
+                traceit("filter", { spike: value, output: state.filtered })
+                return state.filtered
+            }
+            logit(`SPIKE: ${withUnit(value)} came ${state.rejects + 1} times in a row, accepting it as new level.`);
+            state = { unit: unit, time: now, window: [], ema: undefined, filtered: undefined, rejects: 0 }
+        }
+    }
+    state.rejects = 0
+    let filtered = value
+    if (filter.median) {
+        state.window = state.window.concat([ value ]).slice(-filter.median)
+        const sorted = state.window.slice().sort((a, b) => a - b)
+        const mid = floor(sorted.length / 2)
+        filtered = (sorted.length % 2) ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+    }
+    if (filter.ema) {
+        filtered = (state.ema == null) ? filtered : state.ema + filter.ema * (filtered - state.ema)
+        state.ema = filtered
+    }
+    state.filtered = filtered
+    saveState(`filter:${id}`, state)
+    debugit(` filter: ${withUnit(value)} -> ${withUnit(filtered)} (window=${state.window})`);
+    traceit("filter", { value: value, output: filtered })
+    return filtered
+}
+
+// hysteresisHold(): return the last emitted value for id instead of newValue, unless value has moved the fraction hyst of a step past the border
+// between them (the border is assumed halfway between two rounded values, period is given for circular values like angles)
+function hysteresisHold(id, value, newValue, unit, hyst, period) {
+    const wrap = d => period ? ((d % period) + period * 1.5) % period - period / 2 : d // shortest (circular) distance
+    const last = loadState(`hyst:${id}`)
+    let held = newValue
+    if (last && last.unit === unit && last.out !== newValue) {
+        const dist = abs(wrap(value - last.out))    // distance the input has moved away from the last output
+        const step = abs(wrap(newValue - last.out)) // distance between the last and the new rounded output
+        if (dist < step * (0.5 + hyst)) {
+            held = last.out
+            logit(`HYSTERESIS: holding ${held} ${unit} instead of ${newValue} for value=${value} (hyst=${hyst})`);
+        }
+    }
+    saveState(`hyst:${id}`, { out: held, unit: unit })
+    traceit("hysteresis", { rounded: newValue, held: held })
+    return held
+}
+
+// roundWallTime(): round a wall time in ms (read with UTC getters) to the date-time scale level (see DT_LEVELS) in a rounding mode
+// (see roundWith(), weeks, months and years are rounded to the nearest start, or down with floor and trunc, or up with ceil)
+function roundWallTime(ms, level, mode = "nearest") {
+    const d = new Date(ms)
+    let lower = undefined // the start of the calendar unit ms is in ...
+    let upper = undefined // ... and the start of the next one
+    if (level >= 0) { // fixed units: day, hour, quarter-hour, minute, second, millisecond
+        const unitMs = (level === 1.5) ? 15 * 60e3 : [24*3600e3, 3600e3, 60e3, 1e3, 1][floor(level)]
+        return roundWith(ms / unitMs, mode) * unitMs
+    } else if (level === -1) { // ISO weeks start on Monday
+        lower = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - (d.getUTCDay() + 6) % 7)
+        upper = lower + 7 * 24*3600e3
+    } else if (level === -2) {
+        lower = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1)
+        upper = Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1)
+    } else {
+        lower = Date.UTC(d.getUTCFullYear(), 0, 1)
+        upper = Date.UTC(d.getUTCFullYear() + 1, 0, 1)
+    }
+    if (mode === "floor" || mode === "trunc" || ms === lower) return lower
+    if (mode === "ceil") return upper
+    return (ms - lower < upper - ms) ? lower : upper
+}
+
+// zoneOffset(): return the offset in minutes of the time zone tz (e.g. "Europe/Berlin") at the UTC time utcMs, or undefined if unknown
+function zoneOffset(tz, utcMs) {
+    try {
+        const parts = {}
+        new Intl.DateTimeFormat("en-US", { timeZone: tz, hourCycle: "h23", year: "numeric", month: "numeric", day: "numeric",
+            hour: "numeric", minute: "numeric", second: "numeric" }).formatToParts(new Date(utcMs)).forEach(p => { parts[p.type] = +p.value })
+        const wallMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+        return round((wallMs - floor(utcMs / 1000) * 1000) / 60e3)
+    } catch (e) {
+        return undefined
+    }
+}
+
+// zoneWallToUtc(): return the UTC time in ms of a wall time in ms (read with UTC getters) in the time zone tz; an ambiguous wall time
+// (when the clocks go back) takes the earlier offset, a wall time skipped when the clocks go forward is moved forward by the gap
+// (e.g. 02:00 -> 03:00 in Europe/Berlin)
+function zoneWallToUtc(tz, wallMs) {
+    const before = zoneOffset(tz, wallMs - 24*3600e3) // the offsets around the wall time (different only near a DST change)
+    const after  = zoneOffset(tz, wallMs + 24*3600e3)
+    const valid  = [ before, after ].find(offset => zoneOffset(tz, wallMs - offset * 60e3) === offset)
+    return wallMs - (valid ?? before) * 60e3
+}
+
+// formatOffset(): format an offset in minutes like the given example offset: "+0200", "+02:00" or "+02" (a "Z" becomes "+02:00")
+function formatOffset(minutes, example) {
+    const sign = minutes < 0 ? "-" : "+"
+    const hh = String(floor(abs(minutes) / 60)).padStart(2, "0")
+    const mm = String(abs(minutes) % 60).padStart(2, "0")
+    if (/^[+-]\d{4}$/.test(example)) return `${sign}${hh}${mm}`
+    if (/^[+-]\d{2}$/.test(example) && mm === "00") return `${sign}${hh}`
+    return `${sign}${hh}:${mm}`
+}
+
+// parseDuration(): parse a duration string in ISO-8601 ("PT1H23M45S", "P2DT4H"), clock ("01:23:45", or "1:23" with allow.short) or text
+// format ("2d 4h", "1 h 23 min 45 s", or "12s" with allow.single) and return { secs, shape }, or undefined if it is none
+function parseDuration(s, allow = {}) {
+    const num = x => parseFloat(String(x ?? "0").replace(",", "."))
+    let m = s.match(/^([+-])?P(?:(\d+(?:[.,]\d+)?)Y)?(?:(\d+(?:[.,]\d+)?)M)?(?:(\d+(?:[.,]\d+)?)W)?(?:(\d+(?:[.,]\d+)?)D)?(?:T(?:(\d+(?:[.,]\d+)?)H)?(?:(\d+(?:[.,]\d+)?)M)?(?:(\d+(?:[.,]\d+)?)S)?)?$/)
+    if (m && /\d/.test(s)) { // years and months are taken as 365 and 30 days
+        const secs = [365*86400, 30*86400, 7*86400, 86400, 3600, 60, 1].reduce((sum, f, i) => sum + num(m[i + 2]) * f, 0)
+        return { secs: (m[1] === "-" ? -1 : 1) * secs, shape: "iso" }
+    }
+    m = s.match(/^([+-])?(\d+):([0-5]\d)(?::([0-5]\d(?:\.\d+)?))?$/)
+    if (m && (m[4] != null || allow.short)) { // "14:17" might be a time of day as well
+        return { secs: (m[1] === "-" ? -1 : 1) * (num(m[2]) * 3600 + num(m[3]) * 60 + num(m[4])), shape: "clock", short: m[4] == null }
+    }
+    const parts = [...s.matchAll(/(\d+(?:\.\d+)?)\s*([a-z]+)/gi)]
+    if (parts.length === 0 || s.replace(/(\d+(?:\.\d+)?)\s*([a-z]+)/gi, "").trim() !== "" || parts.some(p => ownValue(DURATION_UNITS, p[2].toLowerCase()) == null)) {
+        return undefined
+    }
+    if (parts.length === 1 && (!allow.single || parts[0][2] === "m")) { // "12s" is left to the unit rules, and "5m" might be meters
+        return undefined
+    }
+    return { secs: parts.reduce((sum, p) => sum + num(p[1]) * DURATION_UNITS[p[2].toLowerCase()], 0), shape: "text" }
+}
+
+// durationStep(): return the largest clock-friendly step in seconds up to secs: one of DURATION_STEPS, whole days in 1, 2 or 5 times a
+// power of 10 from a day on, or a power of 10 below a second
+function durationStep(secs) {
+    if (secs < 1) return Math.pow(10, magniTude(secs))
+    if (secs < 86400) return DURATION_STEPS.filter(step => step <= secs).pop()
+    const power = Math.pow(10, magniTude(secs / 86400))
+    return 86400 * [5, 2, 1].map(f => f * power).find(f => f <= secs / 86400)
+}
+
+// formatDuration(): format a number of seconds as duration string in the given shape: "text" ("1 h 24 min"), "iso" ("PT1H24M") or "clock"
+// ("01:24:00", or "01:24" if short)
+function formatDuration(secs, shape, short = false) {
+    const sign = (secs < 0) ? "-" : ""
+    const ms = round(abs(secs) * 1000) // whole milliseconds avoid floating point garbage
+    const [ d, h, mi ] = [ floor(ms / 86400e3), floor(ms % 86400e3 / 3600e3), floor(ms % 3600e3 / 60e3) ]
+    const sec = (ms % 60e3) / 1000
+    if (shape === "clock") {
+        const clock = sign + String(d * 24 + h).padStart(2, "0") + ":" + String(mi).padStart(2, "0")
+        return (short && sec === 0) ? clock : clock + ":" + String(floor(sec)).padStart(2, "0") + (sec % 1 ? String(roundTo(sec % 1, 3)).slice(1) : "")
+    }
+    if (shape === "iso") {
+        const time = (h ? `${h}H` : "") + (mi ? `${mi}M` : "") + (sec ? `${sec}S` : "")
+        return sign + "P" + (d ? `${d}D` : "") + (time || !d ? "T" + (time || "0S") : "")
+    }
+    const text = [ [d, "d"], [h, "h"], [mi, "min"], [sec, "s"] ].filter(([n]) => n !== 0).map(([n, u]) => `${n} ${u}`).join(" ")
+    return sign + (text || "0 s")
+}
+
+// splitList(): split a list input into its elements: a JSON array (optionally followed by a unit for all elements), or, if a separator
+// is given, a text like "21.37,21.52,22.08 V" (a unit behind the last element only is taken for all, the elements are delocalized
+// from locale if given, e.g. "12,5;13,7 °C"); undefined for a single value
+function splitList(s, sep, locale) {
+    const json = s.match(/^(\[.*\])\s*([^\]]*)$/s)
+    if (json) {
+        try {
+            const items = JSON.parse(json[1])
+            if (Array.isArray(items)) return { items, unit: json[2], json: true }
+        } catch (e) {
+            debugit(`no JSON array: ${e.message}`); // fall through to the separator
+        }
+    }
+    if (!sep || !s.includes(sep)) return undefined
+    const items = ((sep.trim() === "") ? s.trim().split(/\s+/) : s.split(sep).map(item => item.trim()))
+        .map(item => (locale != null) ? delocalize(item, locale) : item)
+    if (sep.trim() === "" && items.length > 1 && !/\d/.test(items[items.length - 1])) { // a unit behind a blank, e.g. "21.37 21.52 V" with list=" "
+        items[items.length - 2] += " " + items.pop()
+    }
+    const last = items[items.length - 1].match(/^([+-]?\d*\.?\d+(?:e[+-]?\d+)?)\s*([^\d.\s].*)$/i)
+    const isNum = item => /^[+-]?\d*\.?\d+(?:e[+-]?\d+)?$/i.test(item)
+    let unit = ""
+    if (last && items.slice(0, -1).every(item => isNum(item) || !/\d/.test(item))) { // (non-numeric elements like "abc" pass through)
+        items[items.length - 1] = last[1]
+        unit = last[2].trim()
+    }
+    return { items, unit, json: false, joiner: sep.trim() + (s.includes(sep.trim() + " ") ? " " : "") || sep }
+}
+
+// ownValue(): return the value of an own property of an object (e.g. of a registry like UNITS or LOCALES), or undefined if there is none,
+// so that names from the input or the options never pick inherited ones like "constructor" or "toString"
+function ownValue(obj, key) {
+    return (obj != null && Object.prototype.hasOwnProperty.call(obj, key)) ? obj[key] : undefined
+}
+
+// jsonPath(): return the element of a parsed JSON object at a simple JSON path like "$.temp", "$.sensors[0].value" or "$['a b']",
+// or undefined if there is none (only own properties are followed, e.g. no "constructor")
+function jsonPath(obj, path) {
+    const steps = [...String(path).replace(/^\$/, "").matchAll(/\.?([^.[\]]+)|\[(\d+)\]|\[['"]([^'"]*)['"]\]/g)]
+    return steps.reduce((o, [, key, index, quoted]) => (o != null && Object.prototype.hasOwnProperty.call(o, key ?? index ?? quoted))
+        ? o[key ?? index ?? quoted] : undefined, obj)
+}
+
+// localeOf(): return the LOCALES entry for a locale name like "de", "de-DE" or "de_CH", or undefined if unknown
+function localeOf(name) {
+    name = String(name ?? "").replace("_", "-")
+    return ownValue(LOCALES, name) ?? ownValue(LOCALES, name.split("-")[0])
+}
+
+// delocalize(): rewrite all numbers in s from the given locale (or "auto" to guess it per number) into JS notation,
+// e.g. "1.013,2" or "1 013,2" -> "1013.2" for "de"; no-break spaces (also used for grouping and before units) become normal spaces
+function delocalize(s, locale) {
+    const loc = localeOf(locale)
+    const number = loc?.spaces ? /\d(?:(?:[\d.,'’\u00A0\u202F]| (?=\d{3}(?!\d)))*\d)?/g : /\d(?:[\d.,'’\u00A0\u202F]*\d)?/g
+    return s.replace(number, num => {
+        const dec = loc ? loc.dec : guessDecimal(num)
+        const pos = num.lastIndexOf(dec)
+        const intPart  = (pos < 0 ? num : num.slice(0, pos)).replace(/\D/g, "") // drop any grouping characters
+        const fracPart = (pos < 0 ? "" : "." + num.slice(pos + 1).replace(/\D/g, ""))
+        return intPart + fracPart
+    }).replace(/[\u00A0\u202F]/g, " ")
+}
+
+// guessDecimal(): guess the decimal separator of a number with "." and/or ",": the last one if both are used, the other one if one
+// is used several times; a single "," followed by exactly 3 digits is taken as grouping (e.g. "1,234"), unless the number starts with 0
+function guessDecimal(num) {
+    const dots   = (num.match(/\./g) ?? []).length
+    const commas = (num.match(/,/g) ?? []).length
+    if (dots > 0 && commas > 0) return num.lastIndexOf(",") > num.lastIndexOf(".") ? "," : "."
+    if (commas > 1) return "."
+    if (dots > 1) return ","
+    if (commas === 1) return (/^[1-9]\d{0,2},\d{3}$/.test(num)) ? "." : ","
+    return "."
+}
+
+// formatPattern(): render a value and its unit with a printf-style pattern like in openHAB state descriptions, e.g. "%.1f %unit%":
+// %d, %f, %e and %s with optional flags ("-", "+", "0", ","), width and precision (e.g. %08.2f), %unit% and %%; the digits dropped by
+// %d and %f are rounded with mode (see roundWith()), dec is the decimal separator of the output
+function formatPattern(pattern, value, unit, dec = ".", mode = "nearest") {
+    const n = Number(value)
+    return pattern.replace(/%unit%|%%|%([-+0,]*)(\d+)?(?:\.(\d+))?([dfeEsS])/g, (token, flags = "", width, prec, conv) => {
+        if (token === "%unit%") return unit
+        if (token === "%%") return "%"
+        let s = undefined
+        switch (conv) {
+        case "d":
+            s = plainNumber(roundWith(n, mode))
+            break
+        case "f": {
+            const digits = Number(prec ?? 6)
+            s = plainNumber((roundWith(n * 10 ** digits, mode) / 10 ** digits).toFixed(digits))
+            break
+        }
+        case "e":
+        case "E":
+            s = n.toExponential(Number(prec ?? 6))
+            break
+        default: // %s and %S, the precision cuts the string like in Java
+            s = plainNumber(value).slice(0, (prec == null) ? undefined : Number(prec))
+        }
+        if (flags.includes("+") && n >= 0 && !/^[sS]$/.test(conv)) s = "+" + s
+        s = s.replace(".", dec)
+        if (flags.includes(",")) { // group the integer part
+            s = s.replace(/^([+-]?)(\d+)/, (m, sign, int) => sign + int.replace(/\B(?=(\d{3})+$)/g, (dec === ",") ? "." : ","))
+        }
+        if (width != null && s.length < Number(width)) {
+            s = flags.includes("-") ? s.padEnd(Number(width))
+                : flags.includes("0") ? s.replace(/^([+-]?)/, m => m + "0".repeat(Number(width) - s.length)) : s.padStart(Number(width))
+        }
+        return (/[ES]/.test(conv)) ? s.toUpperCase() : s
+    })
+}
+
+// plainNumber(): write a number (or a number string) without scientific notation, e.g. "1.0135e+3" -> "1013.5", "1.2e-7" -> "0.00000012"
+function plainNumber(v) {
+    const s = String(v)
+    const m = s.match(/^([+-]?)(\d+)(?:\.(\d*))?e([+-]?\d+)$/i)
+    if (!m) return s
+    const [ , sign, int, frac = "", exp ] = m
+    const digits = int + frac
+    const point = int.length + Number(exp) // the position of the decimal point in digits
+    if (point <= 0) return sign + "0." + "0".repeat(-point) + digits
+    if (point >= digits.length) return sign + digits + "0".repeat(point - digits.length)
+    return sign + digits.slice(0, point) + "." + digits.slice(point)
+}
+
+// localizeNumber(): replace the decimal point of the number at the start of s by the decimal separator of the given locale
+function localizeNumber(s, locale) {
+    const dec = localeOf(locale)?.dec ?? "."
+    return (dec === ".") ? s : s.replace(/^([+-]?\d*)\.(\d)/, `$1${dec}$2`)
+}
+
 // isWithin(): check if value is within any of the given ranges (inclusive) - ranges can be given as [min, max] or as [center, halfwidth]
 function isWithin(value, ...ranges) {
     if (!Number.isFinite(value)) return false;
@@ -813,12 +1889,98 @@ function roundTo(x, decimals) {
     return Math.round(x * factor) / factor;
 }
 
-// toPrec(): round a number x to a given number of significant figures (return a number)
-function toPrec(x, sigfigs) {
+// roundSignificant(): round a value to a number of significant figures (return a number); a fractional precision rounds to "nice"
+// intermediate steps from BORDERS*/MIDDLES* (e.g. 1.5 to x.0 and x.5), but only if the value has more significant figures (precisionFound);
+// mode selects the rounding mode (see roundWith()), other modes than nearest pick the next step below or above instead of the nearest
+function roundSignificant(value, precision, precisionFound = 99, mode = "nearest") {
+    let frac = roundTo(precision - floor(precision), 1) // split off the fractional part from the precision (1 digit)
+    precision = floor(precision)
+    if (!(frac > 0 && precisionFound > precision)) {
+        return toPrec(value, precision, mode)
+    }
+    const magnit = magniTude(value)  // magnitude is 0 for 1-9, 1 for 10-99, 2 for 100-999 and so on....
+    const power = Math.pow(10, magnit - precision + 1) // when prec=1: power is 100 for prec=2 and value=349 (magnit=2)
+    if (frac === 0.9 || frac===0.1 ) { warnit(`prec is ${precision} + 0.9, same as prec=${precision+1}, consider using integer precisions only.`); }
+    debugit(` == Rounding value=${value} with frac=${frac}, precision=${precision}`);
+    frac = Number( frac>0.5 ? (1.0-frac) : frac) // make symmetric: 0.6 -> 0.4, 0.7 -> 0.3 ...
+    frac = roundTo(frac, 1) // avoid floating point issues
+    let mult = clamp(Math.ceil(1/frac), [2, 5]) // mult is 2 for frac=0.5, 3 for frac=0.4, 4 for frac=0.3, 5 for frac=0.2
+    traceit("frac", frac)
+    traceit("mult", mult)
+    let sign = value<0 ? -1 : 1
+    let newValue = sign * floor(abs(value) / power) * power // cut off to the integer part with the given precision
+    let normalizedvalue = sign * (value-newValue) / Math.pow(10, magnit - precision)  // normalize the value to be between 1 and 10
+    debugit(` normalizedvalue=${normalizedvalue} (value=${value}, newValue=${newValue}, sign=${sign})`);
+
+    // taking a certain mult, iterate the borders to find the right one:
+    let borders = BORDERS0[mult]; // borders for values for main figures equal to 0
+    let middles = MIDDLES0[mult];
+    if (abs(newValue) < 1e-12) { // FIXME: treat rounding errors as 0
+        // now distinguish the corner cases of not putting unneeded figures to a newValue that already has enough significant figures
+        debugit(` newValue=${newValue}: Choosing BORDERS0/MIDDLES0`);
+    } else {
+        borders = BORDERS1[mult];  // for precision fractions with a main value different from 0
+        middles = MIDDLES1[mult];
+        debugit(` newValue=${newValue}: Choosing BORDERS1/middles1`);
+    }
+    let i = 0;
+    debugit(` Finding rounded value for normalizedvalue=${normalizedvalue}, mult=${mult} (frac=${frac}) in borders=${borders}`);
+    if (mode !== "nearest") {
+        normalizedvalue = roundTo(normalizedvalue, 9) // avoid floating point issues right at a step or border
+    }
+    while (i < borders.length && normalizedvalue > borders[i]) i++;
+    if (mode === "half-even") { // a tie between an odd and an even step goes to the even one (a tie goes down otherwise)
+        if (i < borders.length && normalizedvalue === borders[i] && middles[i] % 2 !== 0 && middles[i+1] % 2 === 0) i++
+    } else if (mode !== "nearest") { // choose the step below or above the value instead (the normalized value and the steps have no sign)
+        const down = (mode === "trunc") || (mode === "floor" && sign > 0) || (mode === "ceil" && sign < 0)
+        i = down ? middles.findLastIndex(m => m <= normalizedvalue) : middles.findIndex(m => m >= normalizedvalue)
+    }
+    const rounded = middles[i]
+    traceit("steps", { borders: (borders === BORDERS0[mult]) ? "BORDERS0" : "BORDERS1", normalized: normalizedvalue,
+        border: (i === 0) ? 0 : borders[i-1], middle: rounded })
+    newValue = toPrec(newValue + sign * rounded * Math.pow(10, magnit - precision), precision+1)
+    debugit(` ROUNDED=${rounded} into newValue=${newValue} BECAUSE border[${i}]=${i === 0 ? 0 : borders[i-1]} for mult=${mult} (frac=${frac}) : i=${i}`);
+    return newValue
+}
+
+// roundColortemp(): round a colour temperature in perceptually even steps: MIRED_STEP for mired, for K the largest "nice" step (1, 2.5
+// or 5 times a power of 10) up to MIRED_STEP mired at that temperature, e.g. 25 K at 2700 K and 100 K at 6500 K
+function roundColortemp(value, kelvin, mode = "nearest") {
+    let step = MIRED_STEP
+    if (kelvin) {
+        const most = value * value * MIRED_STEP / 1e6 // MIRED_STEP mired in K at this temperature
+        const power = Math.pow(10, magniTude(most))
+        step = [5, 2.5, 1].map(f => f * power).find(f => f <= most)
+    }
+    return toPrec(roundWith(value / step, mode) * step, 12) // (toPrec removes floating point noise)
+}
+
+// toPrec(): round a number x to a given number of significant figures in a rounding mode (see roundWith(), return a number)
+function toPrec(x, sigfigs, mode = "nearest") {
     if (x === 0) return 0;
     const magnit = magniTude(x);
     const factor = Math.pow(10, sigfigs - magnit - 1);
-    return Math.round(x * factor) / factor;
+    return (factor < 1) ? roundWith(x * factor, mode) * Math.pow(10, magnit + 1 - sigfigs) // (multiply by the exact power of 10, avoids 3600000.0000000005)
+        : roundWith(x * factor, mode) / factor;
+}
+
+// roundWith(): round x to an integer in a rounding mode: nearest (halves up, like Math.round), floor, ceil, half-even (halves to the
+// even neighbour, "banker's rounding") or trunc (toward zero); x within 1e-9 of an integer is taken as that integer
+function roundWith(x, mode = "nearest") {
+    const near = Math.round(x)
+    if (mode === "nearest" || abs(x - near) < 1e-9) return near
+    switch (mode) {
+    case "floor":
+        return floor(x)
+    case "ceil":
+        return Math.ceil(x)
+    case "trunc":
+        return Math.trunc(x)
+    case "half-even":
+        return (abs(x - floor(x) - 0.5) < 1e-9) ? 2 * Math.round(x / 2) : near
+    default:
+        return near
+    }
 }
 
 // magniTude(): return the order magnitude of a number x (-1 for 0.1..0.9, 0 for 1..9, 1 for 10..99, 2 for 100..999, etc.)
@@ -835,10 +1997,12 @@ function isTrue(s) {
     return (s === "t" || s === "true" || s === "yes" || s === "y" || s === "on" || s === "1")
 }
 
-// consolelog(): log to console.log if available, otherwise use JS print()
+// consolelog(): log to console.log if available (console.error in command-line mode), otherwise use JS print()
 function consolelog(s) {
     const str = String(s ?? "").replace(/\s+/g, ' ').replace(/:/, `${id}:`); // normalize spaces and add any id to the log message
-    if (typeof console !== "undefined" && console && typeof console.log === "function") {
+    if (cliMode) {
+        console.error(str);
+    } else if (typeof console !== "undefined" && console && typeof console.log === "function") {
         console.log(str);
     } else if (typeof print === "function") {
         print(`${scriptname ?? "significant.js: "}${str}`);
@@ -875,6 +2039,22 @@ function debugit(s) {
     }
  }
 
+// traceit(): record a decision in the trace of significantExplain() (if active), appending it to a list with append=true
+function traceit(key, value, append = false) {
+    if (trace) {
+        trace[key] = append ? (trace[key] ?? []).concat([ value ]) : value
+    }
+}
+
+// transformPart(): transform a part of the input (a list element or a range end) with significantTransform(), and add its own trace
+// to the "parts" of the current trace when explaining
+function transformPart(i, opts) {
+    if (!trace) return significantTransform(i, opts)
+    const part = significantExplain(i, opts)
+    traceit("parts", part, true)
+    return part.output
+}
+
 function testit(s) {
     if (testingAsked) {
         consolelog(`${s}`)
@@ -893,7 +2073,8 @@ function setDefault(value, defaultValue) {
 }
 
 // compassAngleToDir(): convert degrees to compass direction: N, NNE, NE, ENE, E, ESE, SE, SSE, S, SSW, SW, WSW, W, WNW, NW, NNW
-function compassAngleToDir(deg, scale = 2) {
+// (lang selects the localized direction letters from COMPASS_LANG, e.g. "de" for N, NNO, NO, ...)
+function compassAngleToDir(deg, scale = 2, lang = "en") {
     // scale: 1=4 directions, 2=8 directions, 3=16 directions, 4=32 directions
     const directions = [
         ["N", "E", "S", "W"],  // scale=1
@@ -911,43 +2092,83 @@ function compassAngleToDir(deg, scale = 2) {
 
     deg = ((deg % 360) + 360) % 360;
     const index = floor((deg + step / 2) / step) % dirs.length;
-    return dirs[index];
+    const letters = ownValue(COMPASS_LANG, lang) ?? COMPASS_LANG.en;
+    return dirs[index].replace(/./g, c => letters[c] ?? c);
+}
+
+// cliMain(): command-line tool, transform the inputs given as arguments, or each line read from stdin if there are none:
+// node significant.js "12.34 °C" --precision=2 --si=false   or   cat values.txt | node significant.js --unit=°C
+function cliMain(args) {
+    let opts = {}
+    const inputs = []
+    args.forEach(a => {
+        const m = a.match(/^--([^=]+)(?:=(.*))?$/) // --key=value or --key (meaning true)
+        if (m) {
+            opts[m[1]] = m[2] ?? "true"
+        } else {
+            inputs.push(a)
+        }
+    })
+    if (opts.help != null) {
+        console.log(`usage: node significant.js [--key=value ...] [input ...]   (reads one input per line from stdin if no input is given)`)
+        return
+    }
+    cliMode = true
+    const config = configOptions(opts.id) // the options from significant.json come first, like in openHAB
+    opts = Object.assign({}, config.own, opts)
+    if (inputs.length > 0) {
+        inputs.forEach(i => console.log(significantTransform(i, opts, config.defaults)))
+        return
+    }
+    const rl = require("readline").createInterface({ input: process.stdin, terminal: false })
+    rl.on("line", line => {
+        if (line.trim() !== "") console.log(significantTransform(line, opts, config.defaults))
+    })
+}
+
+// -----------------------------------------------------------------------------------------
+// Node.js: export for unit testing and wrapper use, or run as command-line tool (skipped in openHAB)
+// -----------------------------------------------------------------------------------------
+if (runsInNode()) {
+    module.exports = { significantTransform, significantExplain, toPrec, roundTo, magniTude, clamp, isWithin, isTrue, numOrUndef, suffixDiff, compassAngleToDir };
+    if (typeof require === "function" && require.main === module) {
+        cliMain(process.argv.slice(2));
+    }
 }
 
 // -----------------------------------------------------------------------------------------
 // openHAB wrapper: preserves transform usage; also lets us pass opts either via *query*, or also as *injected vars*
+// (must stay the last statement of the script, since its value is the result of the transformation)
 // -----------------------------------------------------------------------------------------
 (function () {
+  // `input` is injected by the openHAB transform runtime, without it we are not running as a transformation (e.g. in Node.js)
+  if (typeof input === "undefined") return undefined;
+
   // Try to parse as query options (e.g. significant.js?precision=1.5&scale=1)
   var query = (typeof __scriptName === 'string' && __scriptName.split('?')[1]) || '';
   var optsFromQuery = {};
   if (query) {
     scriptname = `${__scriptName.split('?')[1]}: `; // for logging
     consolelog(scriptname + __scriptName.split('?')[0])
+    var decode = s => { try { return decodeURIComponent(s) } catch (e) { return s } }; // e.g. pattern=%.1f %unit% is no valid URI component
     query.split('&').forEach(p => {
       var [k, v] = p.split('=');
-      if (k) optsFromQuery[decodeURIComponent(k)] = decodeURIComponent(v || '');
+      if (k) optsFromQuery[decode(k)] = decode(v || '');
     });
   }
 
-  // Pick up any injected globals (some transform profiles define them directly)
+  // Pick up any injected globals (some transform profiles define them directly), but not min and max (the globals are the Math functions)
   var injected = {};
-  ['precision','prec','scale','unit','div','mult','skew','si','verbose', 'testing', 'flicker', 'id'].forEach(k => {
-    if (this[k] != null) injected[k] = this[k];
+  ['preset','explain','precision','prec','scale','unit','div','mult','skew','si','system','to','type','tz','duration','range','path','unitpath','list','prefix','mode','invalid','reject','pattern','altitude','temp','reduce','locale','outlocale','verbose', 'testing', 'flicker', 'format', 'classify', 'lang', 'hysteresis', 'ema', 'median', 'maxjump', 'idle', 'id'].forEach(k => {
+    if (this[k] != null && !(k === 'id' && this[k] === '')) injected[k] = this[k]; // (the empty id is the default of the global id)
     this[k] = undefined; // reset the injected globals to undefined to avoid interference with next invocation
   });
 
-  // `input` is injected by the openHAB transform runtime
-  var opts = Object.assign({}, optsFromQuery, injected);
+  // Options of the id from significant.json come first: its "defaults" < a preset < its entry in "ids" < query < injected globals
+  var config = configOptions(injected.id ?? optsFromQuery.id);
+  var opts = Object.assign({}, config.own, optsFromQuery, injected);
 
   // consolelog(`significant.js: input=${input}, opts=${JSON.stringify(opts)}`);
-  return significantTransform(input, opts);
+  return significantTransform(input, opts, config.defaults);
 })();
 
-// -----------------------------------------------------------------------------------------
-// Export for Node.js unit testing (sometimes ignored in openHAB)
-// -----------------------------------------------------------------------------------------
-// should be commented out during openHAB use (transformation script might return an object otherwise)
-/// if (typeof module !== "undefined" && module && typeof module.exports !== "undefined") {
-///  module.exports = { significantTransform };
-/// }
\ No newline at end of file
@@ -0,0 +1,343 @@
+// significant.test.js
+//
+// Tests for significant.js in Node.js: the examples of the README and some corner cases as [input, options, expected output] per
+// feature, plus sequences for the features that remember values per id. Run them with: npm test (or node --test)
+
+const test   = require("node:test")
+const assert = require("node:assert")
+const vm     = require("node:vm")
+const fs     = require("node:fs")
+const os     = require("node:os")
+const path   = require("node:path")
+const { execFileSync } = require("node:child_process")
+const { significantTransform, significantExplain } = require("./significant.js")
+const SCRIPT = fs.readFileSync(path.join(__dirname, "significant.js"), "utf8")
+
+// CASES: [input, options, expected output] per feature, tested with significantTransform()
+const CASES = {
+  "rounding by unit": [
+    ["12.34 °C", { precision: 2 }, "12 °C"],
+    ["6.34 °C", {}, "6.5 °C"],
+    ["75.3 °F", {}, "24 °C"],
+    ["UNDEF", {}, "UNDEF"],
+  ],
+  "compass directions (user-002)": [
+    ["100 °", { format: "compass+deg", lang: "de" }, "O (90°)"],
+    ["345 °", { format: "compass+deg", precision: 3 }, "NNW (337.5°)"], // 22.5° steps like the 16 points
+    ["350 °", { format: "compass+deg", precision: 3 }, "N (0°)"],
+    ["100 °", { format: "compass+deg", precision: 4 }, "EbS (101.25°)"],
+  ],
+  "unit registry (user-004)": [
+    ["12.345 foo", { units: { foo: { dim: "test", prec: 2 } } }, "12 foo"],
+    ["12.34 °C", { units: { "°C": { dim: "temperature", prec: 3 } } }, "12.3 °C"], // replaces the built-in rule
+    ["1234 lx", { units: { lx: { dim: "illuminance", prec: 2, normalize: ["", "k"] } } }, "1.2 klx"],
+    ["16.4 °Ré", { units: { "°Ré": { dim: "temperature", to: { unit: "°C", factor: 1.25 } } } }, "20.5 °C"],
+    ["16.4 °Ré", { units: { "°Ré": { dim: "temperature", prec: 2, si: { unit: "°C", factor: 1.25 } } }, si: false }, "16 °Ré"],
+    ["3 ft", { units: '{"ft":{"dim":"length","base":0.3048,"prec":2}}', to: "cm" }, "91 cm"],
+  ],
+  "unit systems (user-005)": [
+    ["20 °C", { system: "imperial" }, "68 °F"],
+    ["20.5 °C", { system: "imperial", precision: 3 }, "68.9 °F"], // precision kept after the conversion
+    ["1013.2 hPa", { system: "imperial" }, "29.9 inHg"],
+    ["25.4 mm", { system: "imperial" }, "1 in"],
+    ["100 km/h", { system: "uk" }, "60 mph"],
+    ["12.5 km", { system: "uk" }, "7.75 mi"],
+    ["68 °F", { system: "uk" }, "20 °C"], // the uk keeps °C, but miles and mph
+    ["10 mph", { system: "uk" }, "10 mph"],
+  ],
+  "unit conversion with to= (user-006)": [
+    ["18.7 km/h", { to: "m/s" }, "5.2 m/s"],
+    ["1 MWh", { to: "kWh" }, "1000 kWh"],
+    ["5.2 km", { to: "m" }, "5200 m"],
+    ["2345 W", { to: "W" }, "2300 W"],
+    ["1 kWh", { to: "J" }, "3600000 J"],
+    ["5 km", { to: "mm" }, "5000000 mm"],
+  ],
+  "locales (user-007)": [
+    ["1.013,2 hPa", { locale: "de" }, "1013 hPa"],
+    ["12,5 °C", { locale: "de" }, "12.5 °C"],
+    ["12.5 °C", { outlocale: "de" }, "12,5 °C"],
+    ["1 013,2 hPa", { locale: "de" }, "1013 hPa"],
+    ["1 013,2 hPa", { locale: "fr" }, "1013 hPa"],
+    ["12,5;13,7 °C", { list: ";", locale: "de" }, "12.5;13.5 °C"],
+    ["21.37,21.52,22.08 V", { list: ",", outlocale: "de" }, "21,5; 21,5; 22 V"], // no "," between numbers with a decimal comma
+    ["21.37;21.52 V", { list: ";", outlocale: "de" }, "21,5;21,5 V"],
+    ["12,5 °C", { locale: "toString" }, "12.5 °C"],               // unknown (no inherited names), so guessed
+  ],
+  "date-times (user-008, user-009)": [
+    ["2025-09-27T14:16:28.000+0200", { scale: 2 }, "2025-09-27T14:16:00+0200"],
+    ["2025-09-27T12:16:28Z", { scale: 2 }, "2025-09-27T12:16:00Z"],
+    ["1727446588", { type: "epoch", scale: 2 }, "1727446560"],
+    ["2025-09-27T12:16:28.123656Z", { scale: "ms" }, "2025-09-27T12:16:28.124Z"], // no digits beyond ms
+    ["2025-09-27T12:16:28.123656Z", { scale: 6, mode: "floor" }, "2025-09-27T12:16:28.123Z"],
+    ["2025-10-26T14:16:28Z", { tz: "Europe/Berlin" }, "2025-10-26T15:16:28+01:00"],
+    ["2025-03-30T00:40:00Z", { tz: "Europe/Berlin", scale: "hour" }, "2025-03-30T03:00:00+02:00"], // 02:00 is skipped (DST)
+    ["2025-10-26T00:40:00Z", { tz: "Europe/Berlin", scale: "hour" }, "2025-10-26T02:00:00+01:00"], // 02:40 CEST, then 02:00 CET
+    ["2025-03-29T23:30:00Z", { tz: "Europe/Berlin", scale: "day", mode: "ceil" }, "2025-03-31T00:00:00+02:00"],
+    ["2025-03-30T02:30:00", { tz: "Europe/Berlin", scale: "minute" }, "2025-03-30T03:30:00"],
+    ["2025-09-27", { tz: "America/New_York" }, "2025-09-27"],
+    ["2025-09-27T14:16", { tz: "America/New_York", scale: "hour" }, "2025-09-27T14:00"],
+  ],
+  "durations (user-010)": [
+    ["1 h 23 min 45 s", {}, "1 h 25 min"],
+    ["1 h 23 min 45 s", { precision: 1.5 }, "1 h 30 min"],
+    ["1 h 23 min 45 s", { duration: "h" }, "1.4 h"],
+    ["PT1H23M45S", {}, "PT1H25M"],
+    ["01:23:45", {}, "01:25:00"],
+    ["2d 4h", {}, "2 d 4 h"],
+    ["2 d 4 h 30 min", {}, "2 d 4 h"],
+    ["12s", {}, "10 s"],                 // like "12 s" by the unit rules
+    ["12 s", {}, "10 s"],
+    ["14:17", {}, "14:17"],              // a time of day
+    ["1:23", { duration: "clock" }, "01:25:00"],
+  ],
+  "ranges (user-011)": [
+    ["1-2", {}, "1.5"],
+    ["3-5", {}, "4"],
+    ["12.34 - 18.76 °C", { range: "keep" }, "12.5-19 °C"],
+    ["1-2-3", {}, "1-2-3"], // more than two ends: no range
+    ["Level 1-2-3", {}, "Level 1-2-3"],
+    ["2024-10", {}, "2024-10"], // a year-month
+    ["12,5-18,5", { locale: "de", range: "keep" }, "13-19"],         // the ends are delocalized once
+    ["12,5 - 18,5 °C", { locale: "de", range: "keep" }, "12.5-18.5 °C"],
+  ],
+  "JSON payloads (user-012)": [
+    ['{"temp":21.37,"unit":"C"}', { path: "$.temp", unitpath: "$.unit" }, "21.5 °C"],
+    ['{"s":[{"v":1.234}]}', { path: "$.s[0].v" }, "1.2"],
+    ['{"t":21.37}', { path: "$.t.constructor" }, '{"t":21.37}'], // no inherited properties
+    ['{"t":21.37}', { path: "$.__proto__" }, '{"t":21.37}'],
+    ['{"t":21.5}', { path: "$.t", locale: "de", precision: 3 }, "21.5"],  // JSON numbers are never localized...
+    ['{"t":"21,5"}', { path: "$.t", locale: "de", precision: 3 }, "21.5"], // ...strings are
+    ["[1.5,2.5]", { locale: "de" }, "[1.5,2.5]"],
+    ['["1,5",2.5]', { locale: "de" }, '["1.5",2.5]'],
+  ],
+  "lists (user-013)": [
+    ["21.37,21.52,22.08 V", { list: "," }, "21.5,21.5,22 V"],
+    ["21.37,abc,22.08 V", { list: "," }, "21.5,abc,22 V"],
+    ["21.37 21.52 V", { list: " " }, "21.5 21.5 V"],
+    ["[21.37,21.52]", {}, "[21,22]"],
+    ['[[21.37,21.52],[1.234,"abc"]] °C', {}, '[[21.5,21.5],[1,"abc"]] °C'],
+    ['["abc",21.37,null,true] °C', {}, '["abc",21.5,null,true] °C'],
+    ['["12.3","-127"] °C', { invalid: "-127" }, '["12.5","UNDEF"] °C'],
+  ],
+  "data sizes (user-014)": [
+    ["1536000 B", {}, "1.5 MiB"],
+    ["1536000 B", { prefix: "si" }, "1.5 MB"],
+    ["123456 kbit/s", {}, "120 Mbit/s"],
+    ["999 B", { prefix: "si" }, "1 kB"],      // the prefix fits the rounded value, not "1000 B"
+    ["999999 bit", {}, "1 Mbit"],
+    ["999 B", {}, "0.98 KiB"],
+    ["999 B", { prefix: "none" }, "1000 B"],
+  ],
+  "speed classes (user-015)": [
+    ["18.7 km/h", { format: "beaufort" }, "3"],
+    ["18.7 km/h", { format: "beaufort-name" }, "gentle breeze"],
+    ["18.7 km/h", { format: "beaufort-name", lang: "de" }, "schwache Brise"],
+    ["18.7 km/h", { format: "constructor" }, "20 km/h"],         // no inherited names
+  ],
+  "air quality and UV classes (user-016)": [
+    ["12.34 µg/m³", { classify: "pm25-eu" }, "fair"],
+  ],
+  "rounding modes (user-017)": [
+    ["12.34", { precision: 2, mode: "ceil" }, "13"],
+    ["12.66", { precision: 2, mode: "floor" }, "12"],
+    ["12.66", { precision: 2, mode: "trunc" }, "12"],
+    ["12.5", { precision: 2, mode: "half-even" }, "12"],
+    ["13.5", { precision: 2, mode: "half-even" }, "14"],
+    ["-12.34", { precision: 2, mode: "ceil" }, "-12"],
+    ["-12.34", { precision: 2, mode: "floor" }, "-13"],
+    ["-12.66", { precision: 2, mode: "trunc" }, "-12"],
+    ["-12.5", { precision: 2, mode: "half-even" }, "-12"],
+    ["12345 W", { precision: 2, mode: "ceil" }, "13 kW"],
+    ["12955 W", { precision: 2, mode: "floor" }, "12 kW"],
+    ["-12955 W", { precision: 2, mode: "trunc" }, "-12 kW"],
+    ["-12.34 kW", { precision: 2, mode: "floor" }, "-13 kW"],
+    ["1.25 kV", { precision: 2, mode: "half-even" }, "1.2 kV"],
+    ["1.35 kV", { precision: 2, mode: "half-even" }, "1.4 kV"],
+  ],
+  "plausibility checks (user-018)": [
+    ["-127 °C", { invalid: "-127,85,65535" }, "UNDEF"],
+    ["-127 °C", { invalid: "-127", reject: "NULL" }, "NULL"],
+    ["12 - 70 °C", { max: 60 }, "UNDEF"],                  // not the midpoint 41 °C
+    ["12 - 70 °C", { max: 60, range: "keep" }, "UNDEF"],
+    ["12 - 50 °C", { max: 60 }, "31 °C"],
+  ],
+  "output patterns (user-019)": [
+    ["12.34 °C", { pattern: "%.1f %unit%" }, "12.5 °C"],            // the rounded value
+    ["1234.9 kWh", { pattern: "%.0f %unit%", mode: "floor" }, "1234 kWh"], // a meter reading is never rounded up
+    ["1536000 B", { pattern: "%s %unit%" }, "1.5 MiB"],
+    ["1234567 W", { pattern: "%d %unit%" }, "1 MW"],                 // the final unit
+    ["12345.6 m³", { pattern: "%,.0f %unit%", outlocale: "de" }, "12.400 m³"],
+    ["21.37,21.52", { list: ",", pattern: "%.2f %unit%" }, "21.00,22.00"],
+    ["21.37,21.52 V", { list: ",", pattern: "%.2f %unit%" }, "21.50,21.50 V"],
+    ["[21.37,21.52]", { pattern: "%.1f", precision: 3 }, "[21.4,21.5]"],
+  ],
+  "colour temperatures (user-020)": [
+    ["2712 K", {}, "2700 K"],
+    ["6560 K", {}, "6600 K"],
+    ["2700 K", { to: "mired" }, "370 mired"],
+    ["370 mired", {}, "2700 K"],
+    ["0 mired", {}, "UNDEF"],          // no reciprocal of 0
+    ["0 mired", { reject: "NULL" }, "NULL"],
+    ["0 K", { to: "mired" }, "UNDEF"],
+  ],
+  "sea-level pressure (user-021)": [
+    ["954.6 hPa", { altitude: 500 }, "1013 hPa"],
+    ["954.600 hPa", { altitude: 500, temp: "12", precision: 6 }, "1013.2 hPa"],
+    ["954.600 hPa", { altitude: 500, temp: "53.6 °F", precision: 6 }, "1013.2 hPa"], // 12 °C
+    ["954.600 hPa", { altitude: 500, temp: "60 °F", precision: 6 }, "1012.46 hPa"], // not 60 °C
+    ["954.600 hPa", { altitude: 500, temp: "60 V", precision: 6 }, "1013.25 hPa"],  // the standard atmosphere
+    ["954.6 hPa", { altitude: 50000 }, "954.5 hPa"], // out of range, ignored
+  ],
+  "presets (user-022)": [
+    ["12.34 °C", { preset: "indoor-temp" }, "12.3 °C"],
+    ["12.34 °C", { preset: "indoor-temp", precision: 2 }, "12 °C"],
+    ["1534 W", { preset: "pv-power" }, "1500 W"],     // stays in W, also from kW
+    ["1.534 kW", { preset: "pv-power" }, "1500 W"],
+    ["12.34 °C", { preset: "constructor" }, "12.5 °C"],           // no inherited names
+    ["12.34 m/s", { preset: "wind-speed" }, "44 km/h"],
+    ["0.3 in/h", { preset: "rain-rate" }, "7.6 mm/h"],
+  ],
+}
+
+for (const [name, cases] of Object.entries(CASES)) {
+  test(name, () => {
+    cases.forEach(([input, opts, expected]) =>
+      assert.strictEqual(significantTransform(input, opts), expected, `${input} with ${JSON.stringify(opts)}`))
+  })
+}
+
+// sequence(): transform the inputs one after the other with the same options, and return the outputs
+function sequence(inputs, opts) {
+  return inputs.map(input => significantTransform(input, opts))
+}
+
+// evaluate(): evaluate the script like openHAB does for each transformation: anew, with the injected input and script name with the
+// query, plus any other globals (e.g. cache); returns { output, logs }
+function evaluate(input, query, globals = {}) {
+  const logs = []
+  const context = Object.assign({ console: { log: s => logs.push(s) }, input, __scriptName: `significant.js?${query}` }, globals)
+  vm.createContext(context)
+  return { output: vm.runInContext(SCRIPT, context), logs }
+}
+
+// privateCache(): a stand-in for the private cache of openHAB
+function privateCache() {
+  const store = new Map()
+  return { private: { get: key => store.get(key), put: (key, value) => store.set(key, value) } }
+}
+
+test("openHAB: query options", () => {
+  assert.strictEqual(evaluate("12.34 °C", "precision=2").output, "12 °C")
+  assert.strictEqual(evaluate("1013.27 hPa", "pattern=%.1f %unit%").output, "1013.5 hPa")
+})
+
+test("openHAB: hysteresis with the private cache, and a warning without it (user-001)", () => {
+  const cache = privateCache()
+  const outputs = ["12.4", "12.6", "13.9", "14.1"].map(input => evaluate(input, "id=x&precision=1.5&hysteresis=0.3", { cache }).output)
+  assert.deepStrictEqual(outputs, ["10", "10", "10", "15"])
+  const { output, logs } = evaluate("12.6", "id=x&precision=1.5&hysteresis=0.3")
+  assert.strictEqual(output, "15")
+  assert.strictEqual(logs.filter(log => /no openHAB cache/.test(log)).length, 1)
+})
+
+test("hysteresis per id (user-001)", () => {
+  assert.deepStrictEqual(sequence(["12.4", "12.6", "13.9", "14.1"], { id: "test-hyst", precision: 1.5, hysteresis: 0.3 }),
+    ["10", "10", "10", "15"])
+  assert.deepStrictEqual(sequence(["12.4", "12.6", "13.9", "14.1"], { id: "test-hyst-pattern", precision: 1.5, hysteresis: 0.3, pattern: "%d" }),
+    ["10", "10", "10", "15"]) // the held values are kept with a pattern (user-019)
+})
+
+test("command-line mode (user-003)", () => {
+  const script = require.resolve("./significant.js")
+  const run = (args, input) => execFileSync(process.execPath, [script, ...args], { input, encoding: "utf8", stdio: "pipe" })
+  assert.strictEqual(run(["12.34 °C", "--precision=2"]), "12 °C\n")
+  assert.strictEqual(run(["--unit=°C"], "12.34\n6.34\n"), "12.5 °C\n6.5 °C\n") // one input per line
+})
+
+test("smoothing filters per id (user-025)", () => {
+  assert.deepStrictEqual(sequence(["20.1", "20.3", "35", "20.2"], { id: "test-median", median: 3 }), ["20", "20", "20", "20"])
+  assert.deepStrictEqual(sequence(["300", "400", "400", "400", "400"], { id: "test-jump", maxjump: "20%" }),
+    ["300", "300", "300", "300", "400"])
+  assert.deepStrictEqual(sequence(["10", "20"], { id: "test-ema", ema: 0.5 }), ["10", "15"])
+})
+
+test("openHAB: filters warn without the private cache (user-025)", () => {
+  const { output, logs } = evaluate("35", "id=x&median=3")
+  assert.strictEqual(output, "35")
+  assert.deepStrictEqual(logs.filter(log => /no openHAB cache/.test(log)).length, 1)
+  assert.ok(!/no openHAB cache/.test(evaluate("35", "id=x&median=3", { cache: privateCache() }).logs.join("\n")))
+})
+
+// fakeJava(): a stand-in for the Java classes used to read significant.json in openHAB, counting the reads
+function fakeJava(text, file) {
+  const classes = {
+    "java.nio.file.Files": { exists: () => true, getLastModifiedTime: () => ({ toMillis: () => file.mtime }), readString: () => (file.reads++, text) },
+    "java.nio.file.Paths": { get: (...parts) => parts.join("/") },
+    "org.openhab.core.OpenHAB": { getConfigFolder: () => "/etc/openhab" },
+  }
+  return { type: name => classes[name] }
+}
+
+test("openHAB: significant.json is only read again when modified (user-023)", () => {
+  const file = { mtime: 1, reads: 0 }
+  const globals = { cache: privateCache(), Java: fakeJava('{ "ids": { "x": { "precision": 1 } } }', file) }
+  assert.deepStrictEqual(["12.34", "45.6"].map(input => evaluate(input, "id=x", globals).output), ["10", "50"])
+  assert.strictEqual(file.reads, 1)
+  file.mtime = 2
+  assert.strictEqual(evaluate("12.34", "id=x", globals).output, "10")
+  assert.strictEqual(file.reads, 2)
+})
+
+// withConfig(): run a copy of the script from the command line with the given significant.json next to it, and return its output
+function withConfig(config, args) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "significant-"))
+  try {
+    fs.copyFileSync(require.resolve("./significant.js"), path.join(dir, "significant.js"))
+    fs.writeFileSync(path.join(dir, "significant.json"), JSON.stringify(config))
+    return execFileSync(process.execPath, [path.join(dir, "significant.js"), ...args], { encoding: "utf8", stdio: "pipe" })
+  } finally {
+    fs.rmSync(dir, { recursive: true })
+  }
+}
+
+test("units from significant.json (user-004)", () => {
+  const config = { units: { "°Ré": { dim: "temperature", prec: 2, si: { unit: "°C", factor: 1.25 } } } }
+  assert.strictEqual(withConfig(config, ["16.4 °Ré"]), "20.5 °C\n")
+  assert.strictEqual(withConfig(config, ["16.4 °Ré", "--si=false"]), "16 °Ré\n")
+})
+
+test("options per id from significant.json (user-023)", () => {
+  const config = { defaults: { precision: 3 }, ids: { x: { precision: 1 } } }
+  assert.strictEqual(withConfig(config, ["12.345"]), "12.3\n")
+  assert.strictEqual(withConfig(config, ["12.345", "--id=x"]), "10\n")
+  assert.strictEqual(withConfig(config, ["12.345", "--id=x", "--precision=2"]), "12\n")
+})
+
+test("significant.json defaults < preset < entry in ids < explicit options (user-023)", () => {
+  const config = { defaults: { precision: 3 }, presets: { mine: { precision: 4 } }, ids: { x: { preset: "mine" }, y: { preset: "mine", precision: 2 } } }
+  assert.strictEqual(withConfig(config, ["12.345", "--preset=mine"]), "12.35\n")
+  assert.strictEqual(withConfig(config, ["12.345", "--id=x"]), "12.35\n")
+  assert.strictEqual(withConfig(config, ["12.345", "--id=y"]), "12\n")
+  assert.strictEqual(withConfig(config, ["12.345", "--id=x", "--precision=1"]), "10\n")
+})
+
+test("explain mode (user-024)", () => {
+  const trace = significantExplain("75.3 °F")
+  assert.strictEqual(trace.output, "24 °C")
+  assert.strictEqual(trace.precisionFound, 3)
+  assert.deepStrictEqual(trace.conversions.map(c => c.to), ["°C"])
+})
+
+test("explain mode keeps the states per id (user-024)", () => {
+  const opts = { id: "test-explain", precision: 1.5, hysteresis: 0.3 }
+  assert.strictEqual(significantTransform("12.4", opts), "10")
+  assert.strictEqual(significantExplain("14.1", opts).output, "15")
+  assert.strictEqual(significantTransform("13.9", opts), "10") // still held at 10, not at 15 from the explained value
+})
+
+test("explain mode for date-times (user-024)", () => {
+  const trace = significantExplain("2025-03-30T00:40:00Z", { tz: "Europe/Berlin", scale: "hour" })
+  assert.deepStrictEqual(trace.dateTime, { instant: "2025-03-30T00:40:00.000Z", level: 1, mode: "nearest", tz: "Europe/Berlin",
+    offset: 120, rounded: "2025-03-30T01:00:00.000Z" })
+})